@@ -0,0 +1,312 @@
+/*
+ * Ask Gemini — background service worker.
+ *
+ * Forwards the keyboard shortcut (see "commands" in manifest.json) and the
+ * right-click menu entries to the content script of the tab they were used
+ * in, which quotes the current selection into the chip.
+ *
+ * With "Quote from any website" enabled, the shortcut and menu also work
+ * on other pages: the selection, page title and URL are read from the
+ * page, queued as a pending quote in chrome.storage.session, and a Gemini
+ * tab is focused (or opened) and handed the queue.
+ *
+ * It is also the only writer of the quote history and the quote drafts
+ * (see history.js and drafts.js): the content script and the popup send
+ * it their changes.
+ */
+"use strict";
+
+importScripts("templates.js", "history.js", "drafts.js", "settings.js");
+
+var GEMINI_PAGES = AskGeminiSettings.GEMINI_PAGES;
+var GEMINI_NEW_CHAT_URL = AskGeminiSettings.GEMINI_NEW_CHAT_URL;
+
+// Settings and their defaults (see settings.js); only crossSiteQuoting
+// is used here.
+var SETTINGS_DEFAULTS = AskGeminiSettings.STORAGE_DEFAULTS;
+
+// Context menu ids: the default entry, and one per saved template
+// ("template:" + template id).
+var MENU_QUOTE_ID = "quote-selection";
+var MENU_TEMPLATE_PREFIX = "template:";
+
+/**
+ * Ask the content script of the given tab to quote its selection.
+ * @param {string} [templateId] — the template to quote with.
+ * @param {string} [selectionText] — the selection as the browser saw it,
+ *   used if the page's selection is gone by the time the message arrives.
+ */
+function quoteInTab(tabId, templateId, selectionText) {
+  var message = { type: "quote-selection" };
+  if (templateId) message.templateId = templateId;
+  if (selectionText) message.selectionText = selectionText;
+
+  chrome.tabs.sendMessage(tabId, message, function () {
+    // No content script in this tab (not a Gemini page): nothing to do.
+    if (chrome.runtime.lastError) return;
+  });
+}
+
+// ── Quoting from other websites ──────────────────────────────────
+
+/**
+ * Runs in the page: read the selection and where it came from.
+ */
+function readPageSelection() {
+  var selection = window.getSelection();
+  return {
+    text: selection ? selection.toString() : "",
+    title: document.title,
+    url: location.href,
+  };
+}
+
+/**
+ * Read the selection of a (non-Gemini) tab.  Calls back with
+ * { text, title, url }; falls back to what the browser reported when the
+ * page can't be scripted (e.g. the Chrome Web Store or a PDF viewer).
+ */
+function captureFromTab(tab, frameId, fallback, callback) {
+  var target = { tabId: tab.id };
+  if (frameId) target.frameIds = [frameId];
+
+  chrome.scripting.executeScript(
+    { target: target, func: readPageSelection },
+    function (results) {
+      var captured = !chrome.runtime.lastError && results && results[0] && results[0].result;
+      if (!captured || !captured.text.trim()) {
+        captured = {
+          text: fallback.text || "",
+          title: tab.title || "",
+          url: fallback.url || tab.url || "",
+        };
+      }
+      callback(captured);
+    }
+  );
+}
+
+// The pending quotes are kept in chrome.storage.session (so they outlive
+// the worker being stopped) as `pendingQuotes`, with `pendingTabId`, the
+// Gemini tab they were last handed to.  Only the worker reads and writes
+// them, one change after another on this promise, so a quote queued while
+// the queue is being handed over is neither lost nor handed over twice.
+var pendingChanges = Promise.resolve();
+
+/**
+ * Queue a change to the pending quotes.  `change(pending)` edits
+ * { quotes, tabId } in place; the promise returned resolves with what it
+ * returns once the change is stored.
+ */
+function changePendingQuotes(change) {
+  pendingChanges = pendingChanges.then(function () {
+    return new Promise(function (resolve) {
+      chrome.storage.session.get({ pendingQuotes: [], pendingTabId: null }, function (items) {
+        var pending = { quotes: items.pendingQuotes, tabId: items.pendingTabId };
+        var result = change(pending);
+        chrome.storage.session.set(
+          { pendingQuotes: pending.quotes, pendingTabId: pending.tabId },
+          function () {
+            resolve(result);
+          }
+        );
+      });
+    });
+  });
+  return pendingChanges;
+}
+
+/**
+ * Queue a quote for the Gemini tab and bring one to the front.
+ */
+function handOffToGemini(captured, templateId) {
+  var text = captured.text.trim();
+  if (!text) return;
+
+  var quote = {
+    text: text,
+    templateId: templateId || null,
+    source: { url: captured.url, title: captured.title },
+  };
+
+  changePendingQuotes(function (pending) {
+    pending.quotes.push(quote);
+  }).then(focusGeminiTab);
+}
+
+/**
+ * Hand the pending quotes to a Gemini tab.  They are taken out of the
+ * queue first; if the tab has no content script yet (discarded or still
+ * loading) they are put back for it to claim when it starts.
+ */
+function sendPendingQuotes(tabId) {
+  changePendingQuotes(function (pending) {
+    var quotes = pending.quotes;
+    pending.quotes = [];
+    pending.tabId = tabId;
+    return quotes;
+  }).then(function (quotes) {
+    if (quotes.length === 0) return;
+    chrome.tabs.sendMessage(tabId, { type: "pending-quotes", quotes: quotes }, function (attached) {
+      if (!chrome.runtime.lastError && attached) return;
+      changePendingQuotes(function (pending) {
+        pending.quotes = quotes.concat(pending.quotes);
+      });
+    });
+  });
+}
+
+/**
+ * Give a starting Gemini tab the quotes waiting for it (see
+ * sendPendingQuotes()), and clear the queue.  Quotes meant for another
+ * tab are left alone.
+ */
+function claimPendingQuotes(tabId, callback) {
+  changePendingQuotes(function (pending) {
+    if (pending.tabId !== null && pending.tabId !== tabId) return [];
+    var quotes = pending.quotes;
+    pending.quotes = [];
+    return quotes;
+  }).then(callback);
+}
+
+/**
+ * Focus the most recently used Gemini tab and hand it the pending
+ * quotes, or open a new chat (which claims them once loaded).
+ */
+function focusGeminiTab() {
+  chrome.tabs.query({ url: GEMINI_PAGES }, function (tabs) {
+    if (!tabs || tabs.length === 0) {
+      chrome.tabs.create({ url: GEMINI_NEW_CHAT_URL }, function (tab) {
+        changePendingQuotes(function (pending) {
+          pending.tabId = tab.id;
+        });
+      });
+      return;
+    }
+
+    var tab = tabs.reduce(function (latest, t) {
+      return (t.lastAccessed || 0) > (latest.lastAccessed || 0) ? t : latest;
+    });
+    chrome.tabs.update(tab.id, { active: true });
+    chrome.windows.update(tab.windowId, { focused: true });
+    sendPendingQuotes(tab.id);
+  });
+}
+
+/**
+ * Quote the selection of a non-Gemini tab, if the option is enabled.
+ */
+function quoteFromOtherSite(tab, frameId, fallback, templateId) {
+  chrome.storage.sync.get(SETTINGS_DEFAULTS, function (settings) {
+    if (!settings.crossSiteQuoting) return;
+    captureFromTab(tab, frameId, fallback, function (captured) {
+      handOffToGemini(captured, templateId);
+    });
+  });
+}
+
+// ── Context menu ─────────────────────────────────────────────────
+
+function createMenuItem(properties) {
+  chrome.contextMenus.create(properties, function () {
+    // Ignore duplicate ids from overlapping rebuilds.
+    if (chrome.runtime.lastError) return;
+  });
+}
+
+/**
+ * (Re)build the context menu from the saved template library.  The
+ * entries are limited to Gemini pages unless quoting from any website is
+ * enabled.
+ */
+function buildContextMenu() {
+  var keys = Object.assign({}, AskGeminiTemplates.STORAGE_DEFAULTS, SETTINGS_DEFAULTS);
+
+  chrome.storage.sync.get(keys, function (items) {
+    var templates = AskGeminiTemplates.normalizeTemplates(items);
+    var pages = items.crossSiteQuoting ? ["<all_urls>"] : GEMINI_PAGES;
+
+    chrome.contextMenus.removeAll(function () {
+      createMenuItem({
+        id: MENU_QUOTE_ID,
+        title: "Ask Gemini about selection",
+        contexts: ["selection"],
+        documentUrlPatterns: pages,
+      });
+
+      templates.forEach(function (template) {
+        createMenuItem({
+          id: MENU_TEMPLATE_PREFIX + template.id,
+          title: "Quote with \u201C" + template.name + "\u201D",
+          contexts: ["selection"],
+          documentUrlPatterns: pages,
+        });
+      });
+    });
+  });
+}
+
+chrome.runtime.onInstalled.addListener(buildContextMenu);
+chrome.runtime.onStartup.addListener(buildContextMenu);
+
+chrome.storage.onChanged.addListener(function (changes, area) {
+  if (
+    area === "sync" &&
+    (changes.templates || changes.citationFormat || changes.crossSiteQuoting)
+  ) {
+    buildContextMenu();
+  }
+});
+
+chrome.contextMenus.onClicked.addListener(function (info, tab) {
+  if (!tab || tab.id === undefined) return;
+
+  var menuId = String(info.menuItemId);
+  var templateId = null;
+  if (menuId.indexOf(MENU_TEMPLATE_PREFIX) === 0) {
+    templateId = menuId.slice(MENU_TEMPLATE_PREFIX.length);
+  } else if (menuId !== MENU_QUOTE_ID) {
+    return;
+  }
+
+  if (AskGeminiSettings.isGeminiUrl(info.pageUrl)) {
+    quoteInTab(tab.id, templateId, info.selectionText);
+  } else {
+    quoteFromOtherSite(
+      tab,
+      info.frameId,
+      { text: info.selectionText, url: info.frameUrl || info.pageUrl },
+      templateId
+    );
+  }
+});
+
+// ── Keyboard shortcut ────────────────────────────────────────────
+
+chrome.commands.onCommand.addListener(function (command, tab) {
+  if (command !== "quote-selection" || !tab || tab.id === undefined) return;
+
+  // tab.url is only visible for Gemini pages (host permission), so an
+  // unknown URL means some other website.
+  if (AskGeminiSettings.isGeminiUrl(tab.url)) {
+    quoteInTab(tab.id);
+  } else {
+    quoteFromOtherSite(tab, 0, {}, null);
+  }
+});
+
+// ── Messages from the content script and popup ──────────────────
+
+chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
+  // Keep the channel open (return true) for the asynchronous replies
+  if (message && message.type === "claim-pending-quotes") {
+    if (!sender.tab) return false;
+    claimPendingQuotes(sender.tab.id, sendResponse);
+    return true;
+  }
+  return (
+    AskGeminiHistory.handleHistoryMessage(message, sendResponse) ||
+    AskGeminiDrafts.handleDraftMessage(message, sendResponse)
+  );
+});
@@ -5,105 +5,207 @@
   // Configuration
   // =====================================================================
 
-  // Set to true to enable debug logging in the browser console
+  // Set to true to enable debug logging in the browser console (the
+  // "Debug logging" setting in the popup does the same at runtime)
   const DEBUG = false;
 
-  // Default citation format.  The user can override this via the
-  // extension popup (stored in chrome.storage.sync).
-  const DEFAULT_CITATION_FORMAT =
-    "Regarding the following selected content:\n" +
-    "------\n" +
-    "[SELECTED]\n" +
-    "------\n";
-
+  // Quote prompt templates (see templates.js).  The user can edit the
+  // library via the extension popup (stored in chrome.storage.sync).
   // Mutable — will be updated from chrome.storage when available.
-  let citationFormat = DEFAULT_CITATION_FORMAT;
+  let templates = AskGeminiTemplates.getDefaultTemplates();
+
+  // Other settings from the extension popup (stored in chrome.storage.sync)
+  // and their defaults (see settings.js).
+  const SETTINGS_DEFAULTS = AskGeminiSettings.STORAGE_DEFAULTS;
 
-  // Quote chip state
-  let quotedText = "";
-  let quotedDisplayText = "";
+  const TABLE_FORMATS = ["markdown", "csv", "tsv", "html"];
+
+  // Mutable — will be updated from chrome.storage when available.
+  let outputFormat = SETTINGS_DEFAULTS.outputFormat;
+  let tableFormat = SETTINGS_DEFAULTS.tableFormat;
+  let reviewBeforeSend = SETTINGS_DEFAULTS.reviewBeforeSend;
+  let historyLimit = SETTINGS_DEFAULTS.historyLimit;
+  let debugMode = SETTINGS_DEFAULTS.debugMode;
+
+  // Quote chip state.  Each attached quote is an object of the form
+  //   { text, displayText, templateId, context }
+  // and the array order is the order the quotes are sent in.
+  let quotes = [];
   let chipEl = null;
   let isBypassingSend = false;
-
-  // Selectors for Gemini's response containers (tried in order).
-  // These identify the area where Gemini's model responses are rendered.
-  // If the page DOM changes, update these selectors.
-  const RESPONSE_SELECTORS = [
-    // Common Gemini response container classes (may change with updates)
-    ".model-response-text",
-    ".response-container-content",
-    ".response-container",
-    ".message-content",
-    ".markdown-main-panel",
-    ".model-response",
-    '[data-message-author-role="model"]',
-    // Markdown rendered content often lives here
-    ".markdown",
-    ".markdown-body",
+  let isSending = false;
+
+  // The page selectors in use, by category (see selectors.js): Gemini's
+  // response containers, the user input area, areas that should NOT
+  // trigger the bubble, the send button ...  The built-in lists live in
+  // selectors.js; the user can override them from the extension popup
+  // (stored in chrome.storage.sync).  Replaced as a whole by
+  // applySelectors() when the profile is loaded or changes.
+  let pageSelectors = AskGeminiSelectors.getDefaultSelectors();
+
+  // Selectors for the title of the open conversation in the sidebar.
+  // document.title is used when none of these match.
+  const CONVERSATION_TITLE_SELECTORS = [
+    ".conversation.selected .conversation-title",
+    '[aria-current="page"] .conversation-title',
+    ".selected .conversation-title",
   ];
 
-  // Selectors for the user input area. We use these to:
-  //   1. Exclude selections made inside the input from triggering the bubble.
-  //   2. Find the input element to inject the selected text into.
-  const INPUT_SELECTORS = [
-    // Gemini uses a custom <rich-textarea> element
-    "rich-textarea .ql-editor",
-    "rich-textarea .ProseMirror",
-    "rich-textarea [contenteditable='true']",
-    "rich-textarea [contenteditable]",
-    ".text-input-field [contenteditable='true']",
-    ".input-area [contenteditable='true']",
-    // Fallback: look for the rich-textarea element itself
-    "rich-textarea",
-    // Last resort: any contenteditable with specific data attributes
-    'div[contenteditable="true"][data-placeholder]',
-    // Generic textarea fallback
-    "textarea.text-input",
-    '.input-area textarea',
-    'textarea[aria-label]',
+  // Selectors for the container Gemini wraps around each code block, and
+  // for the language label in that block's header.  The header itself
+  // (language label + copy button) is left out of extracted text.
+  const CODE_BLOCK_SELECTORS = ["code-block", ".code-block"];
+  const CODE_BLOCK_HEADER_SELECTORS = [".code-block-decoration"];
+  const CODE_LANGUAGE_SELECTORS = [
+    ".code-block-decoration > span",
+    ".code-block-decoration span",
   ];
 
-  // Selectors for areas that should NOT trigger the bubble
-  // (i.e., the user's own input area and toolbars/buttons)
-  const EXCLUDE_SELECTORS = [
-    "rich-textarea",
-    ".text-input-field",
-    ".input-area-container",
-    ".input-area",
-    'button',
-    '[role="button"]',
-    '.toolbar',
-    '.action-bar',
+  // Selectors for the action bar under each of Gemini's responses (copy,
+  // rating ...) and for the button group in a code block's header, where
+  // the "Quote this response" / "Quote this code block" buttons are added
+  // (tried in order; a code block without the button group gets the
+  // button at the end of its header).  And for the content of a response,
+  // which its button quotes.
+  const RESPONSE_ACTION_BAR_SELECTORS = [
+    "message-actions .actions-container-v2",
+    "message-actions .actions-container",
+    "message-actions",
+  ];
+  const CODE_BLOCK_ACTIONS_SELECTORS = [".code-block-decoration .buttons"];
+  const RESPONSE_CONTENT_SELECTORS = [
+    "message-content",
+    ".markdown-main-panel",
+    ".model-response-text",
+    ".markdown",
   ];
 
-  // Selectors for the send button
-  const SEND_BUTTON_SELECTORS = [
-    'button[aria-label="Send message"]',
-    'button[aria-label="Send"]',
-    '.send-button',
-    'button[data-test-id="send-button"]',
+  // Selectors for the text of the user's own turns, without the buttons
+  // around it (edit, copy ...).  A selection spanning several turns is
+  // clipped to their text (and to the content of Gemini's, see above).
+  const QUERY_CONTENT_SELECTORS = [
+    ".query-text",
+    ".query-content",
+    "user-query-content",
   ];
 
+  // Maximum number of characters captured on each side of a quote for
+  // [CONTEXT_BEFORE] / [CONTEXT_AFTER].
+  const CONTEXT_LENGTH = 300;
+
   // =====================================================================
   // Debug Logger
   // =====================================================================
 
+  // The most recent log() / warn() messages are kept in memory, whether
+  // or not they are printed, so that they can be exported from the popup
+  // ("Export Diagnostics") after something went wrong.
+  //
+  // The user's own content — selected and typed text, prompts,
+  // conversation addresses — is passed to log() wrapped in redact(): it
+  // is printed to the console as usual, but the buffer only records that
+  // something was left out, so exported diagnostics never contain it.
+  const LOG_BUFFER_SIZE = 500;
+  const LOG_MESSAGE_LENGTH = 300;
+  const logBuffer = [];
+
+  function RedactedArg(value) {
+    this.value = value;
+  }
+
+  /**
+   * Mark a log argument as the user's content (see above).
+   */
+  function redact(value) {
+    return new RedactedArg(value);
+  }
+
+  function revealLogArg(arg) {
+    return arg instanceof RedactedArg ? arg.value : arg;
+  }
+
+  /**
+   * Shorten an address to the kind of page it is (e.g.
+   * "https://gemini.google.com/app/\u2026"), without the conversation id
+   * or query.
+   */
+  function redactUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const segments = parsed.pathname.split("/").filter(Boolean);
+      return parsed.origin + "/" + (segments[0] || "") +
+        (segments.length > 1 ? "/\u2026" : ""); // …
+    } catch (e) {
+      return "";
+    }
+  }
+
+  function isDebugEnabled() {
+    return DEBUG || debugMode;
+  }
+
+  /**
+   * Turn a log argument into a short string for the log buffer.
+   */
+  function describeLogArg(arg) {
+    let text;
+    if (arg instanceof RedactedArg) {
+      text = typeof arg.value === "string"
+        ? "[redacted, " + arg.value.length + " characters]"
+        : "[redacted]";
+    } else if (typeof arg === "string") {
+      text = arg;
+    } else if (arg instanceof Error) {
+      text = arg.name + ": " + arg.message;
+    } else if (arg instanceof Element) {
+      text = "<" + arg.tagName.toLowerCase() +
+        (arg.id ? "#" + arg.id : "") +
+        (typeof arg.className === "string" && arg.className
+          ? "." + arg.className.trim().split(/\s+/).join(".")
+          : "") +
+        ">";
+    } else if (arg instanceof Node) {
+      text = arg.nodeName;
+    } else {
+      try {
+        text = JSON.stringify(arg);
+      } catch (e) {
+        text = String(arg);
+      }
+      if (text === undefined) text = String(arg);
+    }
+    return text.length > LOG_MESSAGE_LENGTH
+      ? text.substring(0, LOG_MESSAGE_LENGTH) + "\u2026"
+      : text;
+  }
+
+  function recordLog(level, args) {
+    logBuffer.push({
+      time: new Date().toISOString(),
+      level: level,
+      message: args.map(describeLogArg).join(" "),
+    });
+    if (logBuffer.length > LOG_BUFFER_SIZE) logBuffer.shift();
+  }
+
   function log(...args) {
-    if (DEBUG) {
+    recordLog("log", args);
+    if (isDebugEnabled()) {
       console.log(
         "%c[Ask Gemini]",
         "color: #4285f4; font-weight: bold;",
-        ...args
+        ...args.map(revealLogArg)
       );
     }
   }
 
   function warn(...args) {
-    if (DEBUG) {
+    recordLog("warn", args);
+    if (isDebugEnabled()) {
       console.warn(
         "%c[Ask Gemini]",
         "color: #f4b400; font-weight: bold;",
-        ...args
+        ...args.map(revealLogArg)
       );
     }
   }
@@ -156,18 +258,31 @@
     const container = range.commonAncestorContainer;
 
     // Exclude selections inside the input area
-    if (isInsideSelector(container, EXCLUDE_SELECTORS)) {
+    if (isInsideSelector(container, pageSelectors.exclude)) {
       log("Selection is inside an excluded area (input/toolbar).");
       return false;
     }
 
     // Strategy 1: Check if selection is inside a known response container
-    if (isInsideSelector(container, RESPONSE_SELECTORS)) {
+    if (isInsideSelector(container, pageSelectors.response)) {
       log("Selection is inside a known response container.");
       return true;
     }
 
-    // Strategy 2 (fallback): Accept selection if it's NOT in the input area.
+    // Strategy 2: The user's own prompts can be quoted too
+    if (isInsideSelector(container, pageSelectors.userTurn)) {
+      log("Selection is inside one of the user's turns.");
+      return true;
+    }
+
+    // Strategy 3: A selection from one turn into another (it is quoted
+    // one part per turn, see captureSelection())
+    if (findTurnElement(range.startContainer) && findTurnElement(range.endContainer)) {
+      log("Selection spans several conversation turns.");
+      return true;
+    }
+
+    // Strategy 4 (fallback): Accept selection if it's NOT in the input area.
     // This is a broad fallback, but works well in practice since the main
     // non-response area is the input box (which we already excluded above).
     log(
@@ -180,23 +295,382 @@
   /**
    * Find the Gemini input element where we can inject text.
    * Returns the DOM element, or null if not found.
+   * @param {boolean} [quiet] — don't log the outcome (for repeated checks).
    */
-  function findInputElement() {
-    for (const selector of INPUT_SELECTORS) {
+  function findInputElement(quiet) {
+    for (const selector of pageSelectors.input) {
       try {
         const el = document.querySelector(selector);
         if (el) {
-          log("Found input element with selector:", selector, el);
+          if (!quiet) log("Found input element with selector:", selector, el);
           return el;
         }
       } catch (e) {
         // Invalid selector, skip
       }
     }
-    warn("Could not find the Gemini input element with any known selector.");
+    if (!quiet) warn("Could not find the Gemini input element with any known selector.");
+    return null;
+  }
+
+  /**
+   * Selectors for a single conversation turn (one user prompt or one
+   * model response).
+   */
+  function getTurnSelectors() {
+    return pageSelectors.userTurn.concat(pageSelectors.modelTurn);
+  }
+
+  /**
+   * Find the outermost conversation turn element containing the node.
+   */
+  function findTurnElement(node) {
+    const selectors = getTurnSelectors();
+    let el = node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    let turn = null;
+    while (el && el instanceof Element) {
+      if (matchesAnySelector(el, selectors)) turn = el;
+      el = el.parentElement;
+    }
+    return turn;
+  }
+
+  /**
+   * Return the 1-based position of a turn element among all turns of the
+   * conversation, or 0 if it cannot be determined.
+   */
+  function getTurnNumber(turnEl) {
+    if (!turnEl) return 0;
+    return getTurnElements().indexOf(turnEl) + 1;
+  }
+
+  /**
+   * List the conversation turns currently in the DOM (or in `root` only),
+   * in page order.  Only outermost turn elements count (the selectors may
+   * nest).
+   */
+  function getTurnElements(root) {
+    const selectors = getTurnSelectors();
+    const all = Array.from((root || document).querySelectorAll(selectors.join(", ")));
+    if (root && matchesAnySelector(root, selectors)) all.unshift(root);
+    return all.filter(function (el) {
+      return findTurnElement(el) === el;
+    });
+  }
+
+  function matchesAnySelector(el, selectors) {
+    return selectors.some(function (selector) {
+      try {
+        return el.matches(selector);
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+
+  function containsAnySelector(el, selectors) {
+    return selectors.some(function (selector) {
+      try {
+        return !!el.querySelector(selector);
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Return who wrote a turn: "user" for the user's own prompts, "model"
+   * for Gemini's responses, or "" when it can't be told.
+   */
+  function getTurnRole(turnEl) {
+    if (!turnEl) return "";
+    if (matchesAnySelector(turnEl, pageSelectors.userTurn)) return "user";
+    if (matchesAnySelector(turnEl, pageSelectors.modelTurn)) return "model";
+    if (containsAnySelector(turnEl, pageSelectors.userTurn)) return "user";
+    if (containsAnySelector(turnEl, pageSelectors.modelTurn)) return "model";
+    return "";
+  }
+
+  /**
+   * Return the element holding a turn's text: the content of a response,
+   * or the text of the user's prompt, without the buttons around it.
+   * Falls back to the turn itself.
+   */
+  function getTurnContent(turnEl) {
+    const role = getTurnRole(turnEl);
+    const selectors = role === "model" ? RESPONSE_CONTENT_SELECTORS
+      : role === "user" ? QUERY_CONTENT_SELECTORS
+      : [];
+    return findFirstIn(turnEl, selectors) || turnEl;
+  }
+
+  /**
+   * Split a range that runs across several conversation turns into one
+   * range per turn, each clipped to the turn's content (see
+   * getTurnContent()), so that button labels between the turns are left
+   * out.  Returns null when the range lies within a single turn.
+   */
+  function splitRangeByTurn(range) {
+    const startTurn = findTurnElement(range.startContainer);
+    if (startTurn && startTurn === findTurnElement(range.endContainer)) return null;
+
+    const turns = getTurnElements().filter(function (turn) {
+      return range.intersectsNode(turn);
+    });
+    if (turns.length < 2) return null;
+
+    const parts = [];
+    turns.forEach(function (turn) {
+      const part = document.createRange();
+      part.selectNodeContents(getTurnContent(turn));
+      // Clip to the selection; a part ending before it starts collapses
+      if (part.compareBoundaryPoints(Range.START_TO_START, range) < 0) {
+        part.setStart(range.startContainer, range.startOffset);
+      }
+      if (part.compareBoundaryPoints(Range.END_TO_END, range) > 0) {
+        part.setEnd(range.endContainer, range.endOffset);
+      }
+      if (!part.collapsed) parts.push(part);
+    });
+    return parts;
+  }
+
+  /**
+   * Collect information about where a selection came from: the text
+   * around it within its turn, the turn's number and who wrote it.
+   */
+  function getSelectionContext(range) {
+    const context = { before: "", after: "", turnNumber: 0, role: "" };
+    const turnEl = findTurnElement(range.commonAncestorContainer);
+    if (!turnEl) return context;
+
+    try {
+      const beforeRange = document.createRange();
+      beforeRange.selectNodeContents(turnEl);
+      beforeRange.setEnd(range.startContainer, range.startOffset);
+      context.before = beforeRange.toString().slice(-CONTEXT_LENGTH).trim();
+
+      const afterRange = document.createRange();
+      afterRange.selectNodeContents(turnEl);
+      afterRange.setStart(range.endContainer, range.endOffset);
+      context.after = afterRange.toString().slice(0, CONTEXT_LENGTH).trim();
+    } catch (e) {
+      warn("Could not capture the context around the selection:", e);
+    }
+
+    context.turnNumber = getTurnNumber(turnEl);
+    context.role = getTurnRole(turnEl);
+    return context;
+  }
+
+  /**
+   * Return the title of the open conversation.
+   */
+  function getConversationTitle() {
+    for (const selector of CONVERSATION_TITLE_SELECTORS) {
+      try {
+        const el = document.querySelector(selector);
+        if (el && el.textContent.trim()) return el.textContent.trim();
+      } catch (e) {
+        // Invalid selector, skip
+      }
+    }
+    return document.title.replace(/\s*[-|]\s*Gemini\s*$/i, "").trim();
+  }
+
+  // =====================================================================
+  // Text Anchors
+  // =====================================================================
+  //
+  // A quote remembers where it came from as a text-quote anchor:
+  //   { exact, prefix, suffix, responseIndex, conversationUrl }
+  // `exact` is the selected text, `prefix` / `suffix` a few characters on
+  // each side, and `responseIndex` the (0-based) conversation turn it was
+  // in.  The anchor holds no DOM references, so it survives Gemini
+  // re-rendering a response; it is resolved back to a Range against the
+  // live page text when needed.  Whitespace is collapsed on both sides of
+  // the comparison, since re-rendering may change it.
+
+  const ANCHOR_CONTEXT_LENGTH = 32;
+
+  function normalizeAnchorText(text) {
+    return text.replace(/\s+/g, " ");
+  }
+
+  /**
+   * Create an anchor for the given selection range.
+   */
+  function createTextAnchor(range) {
+    const turnEl = findTurnElement(range.commonAncestorContainer);
+    const root = turnEl || document.body;
+    const anchor = {
+      exact: normalizeAnchorText(range.toString()).trim(),
+      prefix: "",
+      suffix: "",
+      responseIndex: turnEl ? getTurnNumber(turnEl) - 1 : -1,
+      conversationUrl: location.href,
+    };
+
+    try {
+      const beforeRange = document.createRange();
+      beforeRange.selectNodeContents(root);
+      beforeRange.setEnd(range.startContainer, range.startOffset);
+      anchor.prefix = normalizeAnchorText(beforeRange.toString()).slice(-ANCHOR_CONTEXT_LENGTH);
+
+      const afterRange = document.createRange();
+      afterRange.selectNodeContents(root);
+      afterRange.setStart(range.endContainer, range.endOffset);
+      anchor.suffix = normalizeAnchorText(afterRange.toString()).slice(0, ANCHOR_CONTEXT_LENGTH);
+    } catch (e) {
+      warn("Could not capture the text around the anchor:", e);
+    }
+
+    return anchor.exact ? anchor : null;
+  }
+
+  /**
+   * Index the text of an element with whitespace collapsed.  Returns
+   * { text, nodes, offsets } where character i of `text` comes from
+   * offset offsets[i] of text node nodes[i].
+   */
+  function buildTextIndex(root) {
+    const index = { text: "", nodes: [], offsets: [] };
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      const value = node.nodeValue;
+      for (let i = 0; i < value.length; i++) {
+        let ch = value[i];
+        if (/\s/.test(ch)) {
+          if (index.text.endsWith(" ")) continue;
+          ch = " ";
+        }
+        index.text += ch;
+        index.nodes.push(node);
+        index.offsets.push(i);
+      }
+    }
+    return index;
+  }
+
+  function commonPrefixLength(a, b) {
+    let n = 0;
+    while (n < a.length && n < b.length && a[n] === b[n]) n++;
+    return n;
+  }
+
+  function commonSuffixLength(a, b) {
+    let n = 0;
+    while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+    return n;
+  }
+
+  /**
+   * Find the anchor's text inside `root`.  When it occurs several times,
+   * the occurrence whose surroundings best match the prefix and suffix
+   * wins.  Returns a Range, or null when the text is not there.
+   */
+  function findAnchorInElement(anchor, root) {
+    const index = buildTextIndex(root);
+    let best = -1;
+    let bestScore = -1;
+
+    let at = index.text.indexOf(anchor.exact);
+    while (at !== -1) {
+      const before = index.text.slice(Math.max(0, at - anchor.prefix.length), at);
+      const after = index.text.substr(at + anchor.exact.length, anchor.suffix.length);
+      const score = commonSuffixLength(before, anchor.prefix) + commonPrefixLength(after, anchor.suffix);
+      if (score > bestScore) {
+        best = at;
+        bestScore = score;
+      }
+      at = index.text.indexOf(anchor.exact, at + 1);
+    }
+
+    if (best === -1) return null;
+
+    const last = best + anchor.exact.length - 1;
+    const range = document.createRange();
+    range.setStart(index.nodes[best], index.offsets[best]);
+    range.setEnd(index.nodes[last], index.offsets[last] + 1);
+    return range;
+  }
+
+  /**
+   * Resolve an anchor against the current page.  The turn it was taken
+   * from is searched first, then the other turns (turns before it may
+   * have been unloaded or added since).  Returns a Range, or null when
+   * the passage is not in the DOM (e.g. scrolled out of Gemini's lazily
+   * rendered history).
+   */
+  function resolveTextAnchor(anchor) {
+    if (!anchor || !anchor.exact) return null;
+
+    const turns = getTurnElements();
+    const roots = [];
+    if (turns[anchor.responseIndex]) roots.push(turns[anchor.responseIndex]);
+    turns.forEach(function (turn) {
+      if (roots.indexOf(turn) === -1) roots.push(turn);
+    });
+    if (roots.length === 0) roots.push(document.body);
+
+    for (let i = 0; i < roots.length; i++) {
+      const range = findAnchorInElement(anchor, roots[i]);
+      if (range) return range;
+    }
     return null;
   }
 
+  /**
+   * Check whether an anchor was taken in the conversation that is open.
+   */
+  function isAnchorInThisConversation(anchor) {
+    const strip = function (url) { return (url || "").split(/[?#]/)[0]; };
+    return strip(anchor.conversationUrl) === strip(location.href);
+  }
+
+  let flashTimer = null;
+
+  /**
+   * Briefly highlight a range (CSS Custom Highlight API, so Gemini's DOM
+   * is left untouched).  Browsers without it just get the scroll.
+   */
+  function flashRange(range) {
+    if (typeof CSS === "undefined" || !CSS.highlights || typeof Highlight === "undefined") {
+      return;
+    }
+    CSS.highlights.set("ask-gemini-flash", new Highlight(range));
+    clearTimeout(flashTimer);
+    flashTimer = setTimeout(function () {
+      CSS.highlights.delete("ask-gemini-flash");
+    }, 2000);
+  }
+
+  /**
+   * Scroll the passage of a quote into view and flash it.
+   */
+  function revealAnchor(anchor) {
+    if (!isAnchorInThisConversation(anchor)) {
+      showNotice("This quote comes from another conversation.");
+      return;
+    }
+
+    const range = resolveTextAnchor(anchor);
+    if (!range) {
+      log("Anchor not found in the DOM:", redact(anchor));
+      showNotice(
+        "The quoted passage isn't loaded. Scroll up to load earlier " +
+        "messages, then click the quote again."
+      );
+      return;
+    }
+
+    const target = range.startContainer.parentElement;
+    if (target) target.scrollIntoView({ behavior: "smooth", block: "center" });
+    flashRange(range);
+    log("Revealed quoted passage.");
+  }
+
   // =====================================================================
   // Math Extraction
   // =====================================================================
@@ -243,37 +717,85 @@
         }
       }
 
+      // ── Phase 0b: Same for a selection entirely inside one code block
+      //    or inline code span — the fragment is then just text, without
+      //    the <pre> / <code> element that tells us it is code. ──
+      if (ancestor && ancestor.closest && outputFormat === "markdown") {
+        var preParent = ancestor.closest("pre");
+        if (preParent) {
+          log("Selection is inside a code block, fencing it.");
+          return AskGeminiMarkdown.fenceCode(range.toString(), getCodeLanguage(preParent));
+        }
+        var codeParent = ancestor.closest("code");
+        if (codeParent) {
+          return AskGeminiMarkdown.wrapInlineCode(range.toString().trim());
+        }
+      }
+
+      // ── Phase 0c: A selection across several cells of one table clones
+      //    bare rows / cells without their <table>.  Format the selected
+      //    part of the original table instead. ──
+      if (ancestor && ancestor.closest) {
+        var tableParent = ancestor.closest("table");
+        var cellParent = ancestor.closest("td, th");
+        if (tableParent && (!cellParent || !tableParent.contains(cellParent))) {
+          log("Selection spans cells of one table.");
+          return formatOriginalTable(tableParent, range);
+        }
+      }
+
       // ── Phase 1: Clone and process the fragment ──
       const fragment = range.cloneContents();
 
-      // Quick check: are there any math elements in the selection?
+      // Quick check: are there any math, code or table elements in the
+      // selection?
       const hasMath =
         fragment.querySelector(
           ".katex, .katex-display, .MathJax, mjx-container, " +
           "math, .math-inline, .math-block, [data-math]"
         ) !== null;
+      const hasStructure = fragment.querySelector(
+        outputFormat === "markdown" ? MARKDOWN_STRUCTURE_SELECTOR : "table"
+      ) !== null;
 
-      if (!hasMath) {
-        // No math elements — just return the plain text
+      if (!hasMath && !hasStructure) {
+        // Nothing to convert — just return the plain text
+        log("No math or structure in the selection; using its plain text.");
         return selection.toString().trim();
       }
 
-      log("Math elements detected in selection, extracting LaTeX.");
+      if (hasMath) {
+        log("Math elements detected in selection, extracting LaTeX.");
+
+        // ── Phase 2: For orphaned KaTeX elements in the fragment (no
+        //    data-math parent), try to find the corresponding math
+        //    element in the ORIGINAL DOM and annotate the fragment. ──
+        annotateMathFromOriginalDOM(fragment, range);
 
-      // ── Phase 2: For orphaned KaTeX elements in the fragment (no
-      //    data-math parent), try to find the corresponding math
-      //    element in the ORIGINAL DOM and annotate the fragment. ──
-      annotateMathFromOriginalDOM(fragment, range);
+        // Replace math elements in the cloned fragment with LaTeX text
+        replaceMathElements(fragment);
+      }
+
+      // Code blocks in the fragment have lost their header, and partially
+      // selected ordered lists their numbering; recover both from the
+      // original DOM before serializing.
+      annotateCodeFromOriginalDOM(fragment, range);
+      wrapOrphanListItems(fragment, range);
+      annotateListsFromOriginalDOM(fragment, range);
 
-      // Replace math elements in the cloned fragment with LaTeX text
-      replaceMathElements(fragment);
+      // Tables are formatted from the original DOM too, so a partially
+      // selected table keeps its header row and merged cells.  This runs
+      // last: it removes the fragment's tables, which would throw off the
+      // element matching above.
+      replaceTablesFromOriginalDOM(fragment, range);
 
       // Build text from the processed fragment
       var raw = getTextFromFragment(fragment).trim();
 
       // Collapse excessive blank lines that remain after math replacement
-      raw = raw.replace(/\n{3,}/g, "\n\n");
+      raw = collapseBlankLines(raw);
 
+      log("Extracted", raw.length, "characters as", outputFormat, "(math:", hasMath + ", structure:", hasStructure + ").");
       return raw;
     } catch (e) {
       warn("Error extracting math from selection:", e);
@@ -281,6 +803,29 @@
     }
   }
 
+  /**
+   * Find a broad-enough ancestor of the selection range in the original
+   * DOM to search for the elements a cloned fragment was copied from.
+   */
+  function getSearchRoot(range) {
+    var container = range.commonAncestorContainer;
+    if (container.nodeType === Node.TEXT_NODE) {
+      container = container.parentElement;
+    }
+
+    var searchRoot = container;
+    for (var i = 0; i < 10 && searchRoot.parentElement; i++) {
+      searchRoot = searchRoot.parentElement;
+      if (searchRoot.classList &&
+          (searchRoot.classList.contains("markdown") ||
+           searchRoot.classList.contains("response-container") ||
+           searchRoot.classList.contains("model-response-text"))) {
+        break;
+      }
+    }
+    return searchRoot;
+  }
+
   /**
    * Annotate orphaned KaTeX elements in a cloned fragment by finding
    * their corresponding [data-math] ancestors in the original DOM.
@@ -301,23 +846,7 @@
 
     // Gather all [data-math] elements from the original DOM that
     // intersect with the selection range.
-    var container = range.commonAncestorContainer;
-    if (container.nodeType === Node.TEXT_NODE) {
-      container = container.parentElement;
-    }
-
-    // Walk up to find a broad-enough ancestor to search
-    var searchRoot = container;
-    for (var i = 0; i < 10 && searchRoot.parentElement; i++) {
-      searchRoot = searchRoot.parentElement;
-      if (searchRoot.classList &&
-          (searchRoot.classList.contains("markdown") ||
-           searchRoot.classList.contains("response-container") ||
-           searchRoot.classList.contains("model-response-text"))) {
-        break;
-      }
-    }
-
+    var searchRoot = getSearchRoot(range);
     var mathEls = searchRoot.querySelectorAll("[data-math]");
     mathEls.forEach(function (mathEl) {
       // Check if this math element intersects with the selection
@@ -462,50 +991,413 @@
       });
   }
 
+  // =====================================================================
+  // Code Extraction
+  // =====================================================================
+
+  // Language labels that differ from the usual Markdown fence tag.
+  const CODE_LANGUAGE_ALIASES = {
+    "c++": "cpp",
+    "c#": "csharp",
+    "f#": "fsharp",
+    "objective-c": "objectivec",
+    "shell": "sh",
+    "plain text": "text",
+  };
+
   /**
-   * Convert an HTML <table> element into a Markdown table string.
+   * Determine the language of a <pre> code block from the original DOM:
+   * first from `language-*` / `lang-*` class names on the <pre> or its
+   * <code>, then from the label in Gemini's code-block header.
+   * Returns "" when unknown.
    */
-  function tableToMarkdown(tableEl) {
-    const rows = tableEl.querySelectorAll("tr");
-    if (rows.length === 0) return "";
+  function getCodeLanguage(preEl) {
+    var candidates = [preEl, preEl.querySelector("code")];
+    for (var i = 0; i < candidates.length; i++) {
+      var el = candidates[i];
+      if (!el || !el.classList) continue;
+      for (var j = 0; j < el.classList.length; j++) {
+        var match = /^(?:language|lang)-(.+)$/.exec(el.classList[j]);
+        if (match) return normalizeCodeLanguage(match[1]);
+      }
+    }
 
-    const matrix = [];
-    rows.forEach(function (tr) {
-      const cells = tr.querySelectorAll("th, td");
-      const row = [];
-      cells.forEach(function (cell) {
-        // Get the cell's text, trimming whitespace and collapsing
-        // internal newlines to spaces so the table cell stays on one line.
-        const cellText = getTextFromFragment(cell)
-          .trim()
-          .replace(/\n+/g, " ");
-        row.push(cellText);
-      });
-      matrix.push(row);
-    });
+    for (var k = 0; k < CODE_BLOCK_SELECTORS.length; k++) {
+      var block = preEl.closest(CODE_BLOCK_SELECTORS[k]);
+      if (!block) continue;
+      for (var m = 0; m < CODE_LANGUAGE_SELECTORS.length; m++) {
+        var label = block.querySelector(CODE_LANGUAGE_SELECTORS[m]);
+        if (label && label.textContent.trim()) {
+          return normalizeCodeLanguage(label.textContent);
+        }
+      }
+    }
 
-    if (matrix.length === 0) return "";
+    return "";
+  }
 
-    // Determine column count (max across all rows)
-    let colCount = 0;
-    matrix.forEach(function (row) {
-      if (row.length > colCount) colCount = row.length;
-    });
+  function normalizeCodeLanguage(name) {
+    var lang = name.trim().toLowerCase();
+    if (CODE_LANGUAGE_ALIASES.hasOwnProperty(lang)) {
+      return CODE_LANGUAGE_ALIASES[lang];
+    }
+    return lang.replace(/\s+/g, "-");
+  }
 
-    // Pad short rows
-    matrix.forEach(function (row) {
-      while (row.length < colCount) row.push("");
+  /**
+   * Check if an element is Gemini's code-block header.
+   */
+  function isCodeBlockHeader(el) {
+    return CODE_BLOCK_HEADER_SELECTORS.some(function (selector) {
+      return el.matches && el.matches(selector);
     });
+  }
 
-    // Compute max width per column (at least 3 for the separator)
-    const widths = [];
-    for (let c = 0; c < colCount; c++) {
-      let max = 3;
-      matrix.forEach(function (row) {
-        if (row[c].length > max) max = row[c].length;
-      });
-      widths.push(max);
-    }
+  /**
+   * Record the language of each code block in a cloned fragment as a
+   * data-ask-gemini-lang attribute.  The fragment's <pre> elements are
+   * copies of the original <pre> elements intersecting the range, in
+   * the same document order.
+   */
+  function annotateCodeFromOriginalDOM(fragment, range) {
+    var fragmentPres = fragment.querySelectorAll("pre");
+    if (fragmentPres.length === 0) return;
+
+    var originalPres = Array.prototype.filter.call(
+      getSearchRoot(range).querySelectorAll("pre"),
+      function (pre) {
+        try {
+          return range.intersectsNode(pre);
+        } catch (e) {
+          return false;
+        }
+      }
+    );
+
+    fragmentPres.forEach(function (pre, i) {
+      if (originalPres[i]) {
+        pre.setAttribute("data-ask-gemini-lang", getCodeLanguage(originalPres[i]));
+      }
+    });
+  }
+
+  /**
+   * Return the text of a code element, keeping whitespace exactly and
+   * turning <br> into newlines.
+   */
+  function getCodeText(node) {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+    if (node.nodeType !== Node.ELEMENT_NODE &&
+        node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+      return "";
+    }
+    if (node.tagName && node.tagName.toLowerCase() === "br") return "\n";
+    var text = "";
+    for (var i = 0; i < node.childNodes.length; i++) {
+      text += getCodeText(node.childNodes[i]);
+    }
+    return text;
+  }
+
+  /**
+   * Collapse runs of 3+ newlines to a single blank line, leaving the
+   * contents of fenced code blocks untouched.
+   */
+  function collapseBlankLines(text) {
+    var parts = [];
+    var fence = null;
+    var buffer = [];
+
+    function flush() {
+      if (buffer.length === 0) return;
+      parts.push(buffer.join("\n").replace(/\n{3,}/g, "\n\n"));
+      buffer = [];
+    }
+
+    text.split("\n").forEach(function (line) {
+      var match = /^(`{3,})/.exec(line);
+      if (fence === null) {
+        buffer.push(line);
+        if (match) {
+          fence = match[1];
+          flush();
+        }
+      } else {
+        parts.push(line);
+        if (match && match[1].length >= fence.length && line.trim() === match[1]) {
+          fence = null;
+        }
+      }
+    });
+    flush();
+
+    return parts.join("\n");
+  }
+
+  // =====================================================================
+  // Table Conversion
+  // =====================================================================
+
+  /**
+   * Build a grid from an HTML <table>, expanding merged cells: a cell
+   * with colspan / rowspan fills every slot it covers.  Nested tables
+   * belong to their cell and are not part of the grid.
+   *
+   * Returns { slots, rowCount, colCount, headerRows } where slots[r][c]
+   * is the cell object { el, text, isHeader, align, row, col, rowspan,
+   * colspan } covering that slot (or null for a gap in a ragged table),
+   * and headerRows is the number of leading header rows.
+   */
+  function buildTableGrid(tableEl) {
+    const rowEls = getTableRows(tableEl);
+    const slots = [];
+    let colCount = 0;
+
+    rowEls.forEach(function (tr, r) {
+      if (!slots[r]) slots[r] = [];
+      let c = 0;
+
+      getRowCells(tr).forEach(function (cellEl) {
+        // Skip slots already filled by a rowspan from a row above
+        while (slots[r][c]) c++;
+
+        const colspan = Math.max(1, parseInt(cellEl.getAttribute("colspan"), 10) || 1);
+        // rowspan="0" spans to the end of the table section; treat it as
+        // reaching the last row.
+        let rowspan = parseInt(cellEl.getAttribute("rowspan"), 10);
+        if (rowspan === 0) rowspan = rowEls.length - r;
+        rowspan = Math.max(1, Math.min(rowspan || 1, rowEls.length - r));
+
+        const cell = {
+          el: cellEl,
+          text: getTableCellText(cellEl),
+          isHeader: cellEl.tagName.toLowerCase() === "th",
+          align: getCellAlignment(cellEl),
+          row: r,
+          col: c,
+          rowspan: rowspan,
+          colspan: colspan,
+        };
+
+        for (let dr = 0; dr < rowspan; dr++) {
+          if (!slots[r + dr]) slots[r + dr] = [];
+          for (let dc = 0; dc < colspan; dc++) {
+            slots[r + dr][c + dc] = cell;
+          }
+        }
+        c += colspan;
+      });
+    });
+
+    slots.forEach(function (row) {
+      if (row.length > colCount) colCount = row.length;
+    });
+    slots.forEach(function (row) {
+      for (let c = 0; c < colCount; c++) {
+        if (!row[c]) row[c] = null;
+      }
+    });
+
+    return {
+      slots: slots,
+      rowCount: slots.length,
+      colCount: colCount,
+      headerRows: countHeaderRows(tableEl, rowEls),
+    };
+  }
+
+  /**
+   * Return the rows that belong to this table (not to nested tables), in
+   * display order: <thead>, then <tbody> / bare rows, then <tfoot>.
+   */
+  function getTableRows(tableEl) {
+    const head = [];
+    const body = [];
+    const foot = [];
+
+    function collect(parent, target) {
+      for (let i = 0; i < parent.children.length; i++) {
+        const child = parent.children[i];
+        const tag = child.tagName.toLowerCase();
+        if (tag === "tr") {
+          target.push(child);
+        } else if (tag === "thead") {
+          collect(child, head);
+        } else if (tag === "tbody") {
+          collect(child, body);
+        } else if (tag === "tfoot") {
+          collect(child, foot);
+        }
+      }
+    }
+
+    collect(tableEl, body);
+    return head.concat(body, foot);
+  }
+
+  function getRowCells(tr) {
+    return Array.prototype.filter.call(tr.children, function (child) {
+      const tag = child.tagName.toLowerCase();
+      return tag === "td" || tag === "th";
+    });
+  }
+
+  /**
+   * Count the leading header rows: the rows of a <thead>, or else the
+   * leading rows made up only of <th> cells.
+   */
+  function countHeaderRows(tableEl, rowEls) {
+    let count = 0;
+    for (let i = 0; i < rowEls.length; i++) {
+      const parentTag = rowEls[i].parentElement
+        ? rowEls[i].parentElement.tagName.toLowerCase()
+        : "";
+      const cells = getRowCells(rowEls[i]);
+      const allHeaders = cells.length > 0 && cells.every(function (cell) {
+        return cell.tagName.toLowerCase() === "th";
+      });
+      if (parentTag === "thead" || allHeaders) {
+        count++;
+      } else {
+        break;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Read a cell's alignment from its align attribute or inline style.
+   * Returns "left", "center", "right" or "".
+   */
+  function getCellAlignment(cellEl) {
+    const value = (
+      cellEl.getAttribute("align") ||
+      (cellEl.style && cellEl.style.textAlign) ||
+      ""
+    ).toLowerCase();
+    if (value === "left" || value === "start") return "left";
+    if (value === "center") return "center";
+    if (value === "right" || value === "end") return "right";
+    return "";
+  }
+
+  /**
+   * Serialize a cell's content (inline formatting and math included) in
+   * the current output format.  Nested tables are flattened to a single
+   * line ("a, b; c, d") so they fit in the cell.
+   */
+  function getTableCellText(cellEl) {
+    const clone = cellEl.cloneNode(true);
+    clone.querySelectorAll("table").forEach(function (nested) {
+      if (!nested.parentNode) return;
+      const grid = buildTableGrid(nested);
+      const flat = grid.slots
+        .map(function (row) {
+          return row
+            .map(function (cell) { return cell ? cell.text.replace(/\n+/g, " ") : ""; })
+            .join(", ");
+        })
+        .join("; ");
+      nested.replaceWith(document.createTextNode(" " + flat + " "));
+    });
+    return getTextFromFragment(clone).trim();
+  }
+
+  /**
+   * Pick the part of a grid to output.
+   * @param {Object} grid — from buildTableGrid().
+   * @param {Object} [region] — { rows: [indices], cols: [indices] }; the
+   *   whole table when omitted.  Header rows are always kept.
+   * Returns { rows, cols, headerRows } with the row / column indices to
+   * output and how many of the rows are header rows.
+   */
+  function resolveTableRegion(grid, region) {
+    let rows = [];
+    let cols = [];
+    for (let r = 0; r < grid.rowCount; r++) rows.push(r);
+    for (let c = 0; c < grid.colCount; c++) cols.push(c);
+
+    if (region) {
+      rows = region.rows.slice();
+      cols = region.cols.length > 0 ? region.cols.slice() : cols;
+    }
+
+    // Keep the header row(s), even when the selection starts below them.
+    const header = [];
+    for (let h = 0; h < grid.headerRows; h++) {
+      if (rows.indexOf(h) === -1) header.push(h);
+    }
+    rows = header.concat(rows);
+
+    let headerRows = 0;
+    while (headerRows < rows.length && rows[headerRows] < grid.headerRows) {
+      headerRows++;
+    }
+
+    return { rows: rows, cols: cols, headerRows: headerRows };
+  }
+
+  /**
+   * Convert a <table> to text in the table format chosen in the settings
+   * (Markdown, CSV, TSV or HTML).
+   * @param {Element} tableEl
+   * @param {Object} [region] — the selected rows / columns, see
+   *   resolveTableRegion().
+   */
+  function formatTable(tableEl, region) {
+    const grid = buildTableGrid(tableEl);
+    if (grid.rowCount === 0 || grid.colCount === 0) return "";
+    const view = resolveTableRegion(grid, region);
+
+    switch (tableFormat) {
+      case "csv":
+        return tableToDelimited(grid, view, ",");
+      case "tsv":
+        return tableToDelimited(grid, view, "\t");
+      case "html":
+        return tableToHTML(grid, view);
+      default:
+        return gridToMarkdown(grid, view);
+    }
+  }
+
+  /**
+   * Render a grid as a Markdown table.  Pipes in cells are escaped and
+   * line breaks become <br> so each row stays on one line.  Markdown
+   * needs exactly one header row: extra header rows are output as data,
+   * and a table without one uses its first row.
+   */
+  function gridToMarkdown(grid, view) {
+    function cellText(r, c) {
+      const cell = grid.slots[r][c];
+      if (!cell) return "";
+      return cell.text
+        .replace(/\\/g, "\\\\")
+        .replace(/\|/g, "\\|")
+        .replace(/\n+/g, "<br>");
+    }
+
+    const matrix = view.rows.map(function (r) {
+      return view.cols.map(function (c) { return cellText(r, c); });
+    });
+
+    // Column alignment from the header row, else the first data row
+    const aligns = view.cols.map(function (c) {
+      for (let i = 0; i < view.rows.length; i++) {
+        const cell = grid.slots[view.rows[i]][c];
+        if (cell && cell.align) return cell.align;
+      }
+      return "";
+    });
+
+    // Compute max width per column (at least 3 for the separator)
+    const widths = view.cols.map(function (_, i) {
+      let max = 3;
+      matrix.forEach(function (row) {
+        if (row[i].length > max) max = row[i].length;
+      });
+      return max;
+    });
 
     // Helper: pad string to width
     function pad(s, w) {
@@ -513,37 +1405,211 @@
       return s;
     }
 
-    // Build the header row (first row of the matrix)
-    const header = matrix[0];
-    const headerLine =
-      "| " +
-      header.map(function (cell, i) { return pad(cell, widths[i]); }).join(" | ") +
-      " |";
-
-    // Separator row
-    const sepLine =
-      "| " +
-      widths.map(function (w) { return "-".repeat(w); }).join(" | ") +
-      " |";
-
-    // Data rows
-    const dataLines = matrix.slice(1).map(function (row) {
+    function line(row) {
       return (
         "| " +
         row.map(function (cell, i) { return pad(cell, widths[i]); }).join(" | ") +
         " |"
       );
+    }
+
+    // Separator row, with alignment colons
+    const sepLine =
+      "| " +
+      widths
+        .map(function (w, i) {
+          if (aligns[i] === "center") return ":" + "-".repeat(w - 2) + ":";
+          if (aligns[i] === "right") return "-".repeat(w - 1) + ":";
+          if (aligns[i] === "left") return ":" + "-".repeat(w - 1);
+          return "-".repeat(w);
+        })
+        .join(" | ") +
+      " |";
+
+    return [line(matrix[0]), sepLine]
+      .concat(matrix.slice(1).map(line))
+      .join("\n");
+  }
+
+  /**
+   * Render a grid as CSV (RFC 4180 quoting) or TSV (tabs and line breaks
+   * in cells replaced by spaces).
+   */
+  function tableToDelimited(grid, view, delimiter) {
+    function escape(text) {
+      if (delimiter === "\t") {
+        return text.replace(/[\t\r\n]+/g, " ");
+      }
+      if (/[",\r\n]/.test(text)) {
+        return '"' + text.replace(/"/g, '""') + '"';
+      }
+      return text;
+    }
+
+    return view.rows
+      .map(function (r) {
+        return view.cols
+          .map(function (c) {
+            const cell = grid.slots[r][c];
+            return escape(cell ? cell.text : "");
+          })
+          .join(delimiter);
+      })
+      .join("\n");
+  }
+
+  /**
+   * Render a grid as a clean HTML table.  Merged cells keep their
+   * colspan / rowspan, clipped to the output region.
+   */
+  function tableToHTML(grid, view) {
+    const lines = ["<table>"];
+    const emitted = [];
+
+    function section(rows, tag) {
+      if (rows.length === 0) return;
+      lines.push("  <" + tag + ">");
+      rows.forEach(function (r, i) {
+        const cells = [];
+        view.cols.forEach(function (c, j) {
+          const cell = grid.slots[r][c];
+          if (!cell) {
+            cells.push("<td></td>");
+            return;
+          }
+          if (emitted.indexOf(cell) !== -1) return;
+          emitted.push(cell);
+
+          // Count how many of the output rows / columns the cell covers
+          let colspan = 0;
+          for (let k = j; k < view.cols.length && grid.slots[r][view.cols[k]] === cell; k++) {
+            colspan++;
+          }
+          let rowspan = 0;
+          for (let k = i; k < rows.length && grid.slots[rows[k]][c] === cell; k++) {
+            rowspan++;
+          }
+
+          const cellTag = cell.isHeader || tag === "thead" ? "th" : "td";
+          const attrs =
+            (colspan > 1 ? ' colspan="' + colspan + '"' : "") +
+            (rowspan > 1 ? ' rowspan="' + rowspan + '"' : "") +
+            (cell.align ? ' align="' + cell.align + '"' : "");
+          cells.push(
+            "<" + cellTag + attrs + ">" +
+            escapeHTML(cell.text).replace(/\n/g, "<br>") +
+            "</" + cellTag + ">"
+          );
+        });
+        lines.push("    <tr>" + cells.join("") + "</tr>");
+      });
+      lines.push("  </" + tag + ">");
+    }
+
+    section(view.rows.slice(0, view.headerRows), "thead");
+    section(view.rows.slice(view.headerRows), "tbody");
+    lines.push("</table>");
+    return lines.join("\n");
+  }
+
+  /**
+   * Work out which rows and columns of an original-DOM table a range
+   * covers: the rows it intersects, and the columns of the cells it
+   * intersects.  Returns null when the whole table is selected.
+   */
+  function getTableSelectionRegion(tableEl, range) {
+    const fullySelected =
+      range.comparePoint(tableEl, 0) === 0 &&
+      range.comparePoint(tableEl, tableEl.childNodes.length) === 0;
+    if (fullySelected) return null;
+
+    const grid = buildTableGrid(tableEl);
+    const rowEls = getTableRows(tableEl);
+    const rows = [];
+    const cols = [];
+
+    rowEls.forEach(function (tr, r) {
+      if (!range.intersectsNode(tr)) return;
+      rows.push(r);
+      for (let c = 0; c < grid.colCount; c++) {
+        const cell = grid.slots[r][c];
+        if (cell && cols.indexOf(c) === -1 && range.intersectsNode(cell.el)) {
+          cols.push(c);
+        }
+      }
+    });
+
+    cols.sort(function (a, b) { return a - b; });
+    return { rows: rows, cols: cols };
+  }
+
+  /**
+   * Pre-render the tables touched by a selection from the ORIGINAL DOM,
+   * so partially selected tables output only the selected rows and
+   * columns (plus the header), and replace the fragment's table copies
+   * with the result.  The fragment's top-level tables are copies of the
+   * top-level original tables intersecting the range, in document order.
+   */
+  function replaceTablesFromOriginalDOM(fragment, range) {
+    const fragmentTables = Array.prototype.filter.call(
+      fragment.querySelectorAll("table"),
+      function (table) {
+        return !table.parentElement || !table.parentElement.closest("table");
+      }
+    );
+    if (fragmentTables.length === 0) return;
+
+    const originalTables = Array.prototype.filter.call(
+      getSearchRoot(range).querySelectorAll("table"),
+      function (table) {
+        if (table.parentElement && table.parentElement.closest("table")) return false;
+        try {
+          return range.intersectsNode(table);
+        } catch (e) {
+          return false;
+        }
+      }
+    );
+
+    fragmentTables.forEach(function (table, i) {
+      const original = originalTables[i];
+      if (!original) return;
+
+      const placeholder = document.createElement("div");
+      placeholder.setAttribute("data-ask-gemini-table", "");
+      placeholder.textContent = formatOriginalTable(original, range);
+      table.replaceWith(placeholder);
     });
+  }
 
-    return [headerLine, sepLine].concat(dataLines).join("\n");
+  /**
+   * Format the selected part of an original-DOM table.  The table is
+   * cloned so its math can be replaced by LaTeX without touching the page.
+   */
+  function formatOriginalTable(tableEl, range) {
+    const region = getTableSelectionRegion(tableEl, range);
+    const clone = tableEl.cloneNode(true);
+    replaceMathElements(clone);
+    log("Formatting table as", tableFormat, region ? "(partial selection)" : "");
+    return formatTable(clone, region);
   }
 
   /**
-   * Build a text string from a DOM node / fragment, inserting newlines
-   * at block-element boundaries so the output reads naturally.
-   * Tables are converted to Markdown format.
+   * Build a text string from a DOM node / fragment in the output format
+   * chosen in the settings: Markdown (default) or plain text.
    */
   function getTextFromFragment(node) {
+    return outputFormat === "plain"
+      ? fragmentToPlainText(node)
+      : fragmentToMarkdown(node);
+  }
+
+  /**
+   * Build a plain-text string from a DOM node / fragment, inserting
+   * newlines at block-element boundaries so the output reads naturally.
+   * Tables are still converted to Markdown format.
+   */
+  function fragmentToPlainText(node) {
     if (node.nodeType === Node.TEXT_NODE) {
       return node.textContent;
     }
@@ -557,9 +1623,24 @@
 
     const tag = node.tagName ? node.tagName.toLowerCase() : "";
 
-    // <table> → Markdown table
+    // <table> → table in the chosen table format
     if (tag === "table") {
-      return "\n" + tableToMarkdown(node) + "\n";
+      return "\n" + formatTable(node) + "\n";
+    }
+
+    // Table already formatted by replaceTablesFromOriginalDOM()
+    if (node.hasAttribute && node.hasAttribute("data-ask-gemini-table")) {
+      return "\n" + node.textContent + "\n";
+    }
+
+    // <pre> → code text with its whitespace intact
+    if (tag === "pre") {
+      return getCodeText(node).replace(/\n*$/, "\n");
+    }
+
+    // Gemini's code-block header (language label + copy button)
+    if (isCodeBlockHeader(node)) {
+      return "";
     }
 
     // <br> → newline
@@ -574,7 +1655,7 @@
 
     let result = "";
     for (let i = 0; i < node.childNodes.length; i++) {
-      result += getTextFromFragment(node.childNodes[i]);
+      result += fragmentToPlainText(node.childNodes[i]);
     }
 
     // Append a newline after block-level elements if not already present
@@ -591,232 +1672,379 @@
   }
 
   // =====================================================================
-  // Text Injection
+  // Markdown Serialization
   // =====================================================================
 
-  /**
-   * Inject text into a contenteditable element.
-   *
-   * We avoid execCommand("insertText") for multi-line content because
-   * many contenteditable implementations (including Gemini's) silently
-   * strip newlines and only keep the first line. Instead, we build
-   * proper paragraph HTML and set it directly.
-   */
-  function injectIntoContentEditable(el, text) {
-    log("Injecting into contenteditable element.");
-    el.focus();
-
-    // Build HTML from the text lines.
-    // Each line becomes a <p> element so multi-paragraph content is
-    // faithfully preserved.
-    const lines = text.split("\n");
-    const html = lines
-      .map((line) => {
-        if (line === "") return "<p><br></p>";
-        return "<p>" + escapeHTML(line) + "</p>";
-      })
-      .join("");
+  // Elements that always start a new Markdown block.
+  const MARKDOWN_BLOCK_TAGS = [
+    "p", "div", "section", "article", "main", "header", "footer",
+    "h1", "h2", "h3", "h4", "h5", "h6",
+    "ul", "ol", "li", "blockquote", "pre", "hr", "table",
+  ];
 
-    // Strategy 1: Use execCommand to clear + insert HTML.
-    // execCommand dispatches the right internal events for most
-    // frameworks (React, Angular, Lit, etc.).
-    document.execCommand("selectAll", false, null);
-    document.execCommand("delete", false, null);
-    const success = document.execCommand("insertHTML", false, html);
+  // Inline formatting elements and the Markdown markers they map to.
+  const MARKDOWN_INLINE_MARKERS = {
+    strong: "**",
+    b: "**",
+    em: "*",
+    i: "*",
+    s: "~~",
+    del: "~~",
+    strike: "~~",
+  };
+
+  // Elements whose presence in a selection means it has structure worth
+  // serializing (otherwise selection.toString() is used as-is).
+  const MARKDOWN_STRUCTURE_SELECTOR =
+    "h1, h2, h3, h4, h5, h6, ul, ol, li, blockquote, hr, pre, code, " +
+    "table, a[href], strong, b, em, i, s, del, strike";
 
-    if (!success) {
-      // Strategy 2: Directly write innerHTML and manually fire an
-      // input event so the framework detects the change.
-      log("execCommand insertHTML failed, falling back to innerHTML");
-      el.innerHTML = html;
-      el.dispatchEvent(new Event("input", { bubbles: true }));
-      el.dispatchEvent(new Event("change", { bubbles: true }));
+  /**
+   * Serialize a DOM node / fragment from Gemini's response area as
+   * Markdown: headings, nested (numbered) lists, emphasis, links,
+   * blockquotes, rules, fenced code and tables.  Math must already have
+   * been replaced by replaceMathElements().
+   */
+  function fragmentToMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent;
     }
-
-    // Place cursor at the end
-    placeCursorAtEnd(el);
-
-    log("Text injected into contenteditable successfully.");
-    return true;
+    return collapseBlankLines(markdownBlocks(node).join("\n\n"));
   }
 
   /**
-   * Inject text into a <rich-textarea> custom element.
+   * Check whether an element should be serialized as a block: either a
+   * known block tag, or a wrapper (such as Gemini's custom elements)
+   * that contains block content.
    */
-  function injectIntoRichTextarea(richTextarea, text) {
-    log("Injecting into <rich-textarea> element.");
-
-    // Try to find the inner editable element
-    const innerSelectors = [
-      ".ql-editor",
-      ".ProseMirror",
-      '[contenteditable="true"]',
-      "[contenteditable]",
-    ];
-
-    for (const selector of innerSelectors) {
-      const inner = richTextarea.querySelector(selector);
-      if (inner) {
-        log("Found inner editable element:", selector);
-        return injectIntoContentEditable(inner, text);
-      }
+  function isMarkdownBlock(el) {
+    const tag = el.tagName.toLowerCase();
+    if (MARKDOWN_BLOCK_TAGS.indexOf(tag) !== -1) return true;
+    if (MARKDOWN_INLINE_MARKERS.hasOwnProperty(tag) || tag === "a" || tag === "code") {
+      return false;
     }
+    return el.querySelector(MARKDOWN_BLOCK_TAGS.join(", ")) !== null;
+  }
 
-    // Try shadow DOM
-    if (richTextarea.shadowRoot) {
-      for (const selector of innerSelectors) {
-        const inner = richTextarea.shadowRoot.querySelector(selector);
-        if (inner) {
-          log("Found inner editable element in shadow DOM:", selector);
-          return injectIntoContentEditable(inner, text);
-        }
-      }
+  /**
+   * Serialize the children of a node as a list of Markdown blocks.  Runs
+   * of inline content between block children become paragraphs.
+   */
+  function markdownBlocks(parent) {
+    const blocks = [];
+    let inline = "";
+
+    function flushInline() {
+      const text = inline
+        .split("\n")
+        .map(function (line) { return line.replace(/ {2,}/g, " ").trim(); })
+        .join("\n")
+        .trim();
+      if (text) blocks.push(text);
+      inline = "";
     }
 
-    // Last resort: try setting .value property (some custom elements use this)
-    if ("value" in richTextarea) {
-      log("Trying .value property on rich-textarea.");
-      richTextarea.value = text;
-      richTextarea.dispatchEvent(new Event("input", { bubbles: true }));
-      richTextarea.dispatchEvent(new Event("change", { bubbles: true }));
-      return true;
+    for (let i = 0; i < parent.childNodes.length; i++) {
+      const child = parent.childNodes[i];
+      if (child.nodeType === Node.ELEMENT_NODE && isMarkdownBlock(child)) {
+        flushInline();
+        const block = markdownBlock(child);
+        if (block) blocks.push(block);
+      } else {
+        inline += markdownInline(child);
+      }
     }
+    flushInline();
 
-    warn("Could not find editable surface inside <rich-textarea>.");
-    return false;
+    return blocks;
   }
 
   /**
-   * Inject text into a standard <textarea> element.
+   * Serialize a single block element.  Returns "" for elements that
+   * produce no output.
    */
-  function injectIntoTextarea(textarea, text) {
-    log("Injecting into <textarea> element.");
-    textarea.focus();
-    textarea.value = text;
+  function markdownBlock(el) {
+    const tag = el.tagName.toLowerCase();
+    const heading = /^h([1-6])$/.exec(tag);
+
+    if (heading) {
+      const text = markdownInlineChildren(el).replace(/\s+/g, " ").trim();
+      return text ? "#".repeat(Number(heading[1])) + " " + text : "";
+    }
+
+    switch (tag) {
+      case "hr":
+        return "---";
+      case "pre":
+        return AskGeminiMarkdown.fenceCode(
+          getCodeText(el),
+          el.getAttribute("data-ask-gemini-lang") || getCodeLanguage(el)
+        );
+      case "table":
+        return formatTable(el);
+      case "ul":
+      case "ol":
+        return markdownList(el);
+      case "li":
+        // A list item whose list was cut off by the selection
+        return markdownListItem(el, "- ");
+      case "blockquote":
+        return markdownBlocks(el)
+          .join("\n\n")
+          .split("\n")
+          .map(function (line) { return line ? "> " + line : ">"; })
+          .join("\n");
+      case "style":
+      case "script":
+        return "";
+    }
 
-    // Dispatch events so the framework detects the change
-    textarea.dispatchEvent(new Event("input", { bubbles: true }));
-    textarea.dispatchEvent(new Event("change", { bubbles: true }));
+    if (isCodeBlockHeader(el)) return "";
 
-    // Place cursor at the end
-    textarea.selectionStart = textarea.value.length;
-    textarea.selectionEnd = textarea.value.length;
+    // Table already formatted by replaceTablesFromOriginalDOM()
+    if (el.hasAttribute("data-ask-gemini-table")) return el.textContent;
 
-    log("Text injected into textarea successfully.");
-    return true;
+    return markdownBlocks(el).join("\n\n");
   }
 
   /**
-   * Place the cursor at the end of a contenteditable element.
+   * Serialize a <ul> / <ol>, numbering ordered items from the list's
+   * `start` attribute.  Nested lists are indented under their item.
    */
-  function placeCursorAtEnd(el) {
-    const range = document.createRange();
-    const sel = window.getSelection();
-
-    // Try to place the cursor inside the last child element (usually
-    // the trailing empty <p><br></p>) so the user can start typing on
-    // the new line after the citation block.
-    const lastChild = el.lastElementChild || el.lastChild;
-    if (lastChild) {
-      range.selectNodeContents(lastChild);
-      range.collapse(false);
-    } else {
-      range.selectNodeContents(el);
-      range.collapse(false);
+  function markdownList(listEl) {
+    const ordered = listEl.tagName.toLowerCase() === "ol";
+    let number = parseInt(listEl.getAttribute("start"), 10);
+    if (isNaN(number)) number = 1;
+
+    const items = [];
+    for (let i = 0; i < listEl.children.length; i++) {
+      const child = listEl.children[i];
+      if (child.tagName.toLowerCase() !== "li") continue;
+      const marker = ordered ? number++ + ". " : "- ";
+      const item = markdownListItem(child, marker);
+      if (item) items.push(item);
     }
+    return items.join("\n");
+  }
 
-    sel.removeAllRanges();
-    sel.addRange(range);
-    el.focus();
+  /**
+   * Serialize a list item: the marker on the first line, and every
+   * following line indented to line up with the item's text.
+   */
+  function markdownListItem(li, marker) {
+    const content = markdownBlocks(li).join("\n");
+    if (!content) return "";
+    const indent = " ".repeat(marker.length);
+    return content
+      .split("\n")
+      .map(function (line, i) {
+        if (i === 0) return marker + line;
+        return line ? indent + line : line;
+      })
+      .join("\n");
   }
 
   /**
-   * Inject pre-composed text into the Gemini input (no citation formatting).
+   * Serialize an inline node.  Whitespace in text is collapsed the way
+   * the browser renders it; <br> becomes a line break.
    */
-  function injectFormattedText(text) {
-    const inputEl = findInputElement();
-    if (!inputEl) {
-      warn("Cannot inject text: input element not found.");
-      return false;
+  function markdownInline(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, " ");
     }
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
 
-    if (
-      inputEl.getAttribute("contenteditable") === "true" ||
-      inputEl.isContentEditable
-    ) {
-      return injectIntoContentEditable(inputEl, text);
+    const tag = node.tagName.toLowerCase();
+
+    if (tag === "br") return "\n";
+    if (tag === "code") return AskGeminiMarkdown.wrapInlineCode(getCodeText(node));
+    if (tag === "style" || tag === "script") return "";
+
+    const inner = markdownInlineChildren(node);
+
+    if (MARKDOWN_INLINE_MARKERS.hasOwnProperty(tag)) {
+      return wrapInlineMarker(inner, MARKDOWN_INLINE_MARKERS[tag]);
     }
 
-    if (inputEl.tagName && inputEl.tagName.toLowerCase() === "rich-textarea") {
-      return injectIntoRichTextarea(inputEl, text);
+    if (tag === "a") {
+      return markdownLink(node, inner);
     }
 
-    if (
-      inputEl.tagName &&
-      inputEl.tagName.toLowerCase() === "textarea"
-    ) {
-      return injectIntoTextarea(inputEl, text);
+    return inner;
+  }
+
+  function markdownInlineChildren(el) {
+    let result = "";
+    for (let i = 0; i < el.childNodes.length; i++) {
+      result += markdownInline(el.childNodes[i]);
     }
+    return result;
+  }
 
-    warn("Unknown input element type:", inputEl.tagName);
-    return false;
+  /**
+   * Wrap inline text in an emphasis marker, keeping surrounding
+   * whitespace outside the marker ("** bold **" is not bold).
+   */
+  function wrapInlineMarker(text, marker) {
+    const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+    if (!match[2]) return text;
+    return match[1] + marker + match[2] + marker + match[3];
   }
 
   /**
-   * Read the current user-typed text from the Gemini input element.
+   * Serialize a link as [text](url), resolving relative URLs against the
+   * page.  Links without a usable target keep just their text.
    */
-  function getUserInput() {
-    const inputEl = findInputElement();
-    if (!inputEl) return "";
+  function markdownLink(a, text) {
+    const href = a.getAttribute("href");
+    if (!href || /^\s*javascript:/i.test(href)) return text;
 
-    if (
-      inputEl.isContentEditable ||
-      inputEl.getAttribute("contenteditable") === "true"
-    ) {
-      return (inputEl.textContent || "").trim();
-    }
-
-    if (inputEl.tagName && inputEl.tagName.toLowerCase() === "rich-textarea") {
-      const innerSelectors = [
-        ".ql-editor",
-        ".ProseMirror",
-        '[contenteditable="true"]',
-      ];
-      for (let i = 0; i < innerSelectors.length; i++) {
-        const inner = inputEl.querySelector(innerSelectors[i]);
-        if (inner) return (inner.textContent || "").trim();
-      }
-      if (inputEl.shadowRoot) {
-        for (let j = 0; j < innerSelectors.length; j++) {
-          const shadowInner = inputEl.shadowRoot.querySelector(innerSelectors[j]);
-          if (shadowInner) return (shadowInner.textContent || "").trim();
-        }
-      }
-      return (inputEl.value || inputEl.textContent || "").trim();
+    let url = href;
+    try {
+      url = new URL(href, location.href).href;
+    } catch (e) {
+      // Keep the raw attribute value
     }
 
-    if (inputEl.tagName && inputEl.tagName.toLowerCase() === "textarea") {
-      return (inputEl.value || "").trim();
-    }
+    const label = text.trim();
+    if (!label || label === url) return "<" + url + ">";
+    return "[" + label + "](" + url + ")";
+  }
 
-    return "";
+  /**
+   * When a selection spans several items of a single list, the cloned
+   * fragment holds bare <li> elements without their list.  Put them back
+   * in an empty copy of that list so they keep their markers (the
+   * numbering is restored by annotateListsFromOriginalDOM()).
+   */
+  function wrapOrphanListItems(fragment, range) {
+    let container = range.commonAncestorContainer;
+    if (container.nodeType === Node.TEXT_NODE) container = container.parentElement;
+    if (!container || !container.tagName) return;
+
+    const tag = container.tagName.toLowerCase();
+    if (tag !== "ul" && tag !== "ol") return;
+
+    const list = container.cloneNode(false);
+    while (fragment.firstChild) {
+      list.appendChild(fragment.firstChild);
+    }
+    fragment.appendChild(list);
   }
 
   /**
-   * Find the Gemini send button.
+   * Restore the numbering of partially selected ordered lists: a cloned
+   * fragment's <ol> only holds the selected items, so numbering would
+   * otherwise restart at 1.  The fragment's <ol> elements are copies of
+   * the original ones intersecting the range, in document order.
    */
-  function findSendButton() {
-    for (let i = 0; i < SEND_BUTTON_SELECTORS.length; i++) {
-      try {
-        const btn = document.querySelector(SEND_BUTTON_SELECTORS[i]);
-        if (btn) return btn;
-      } catch (e) {
-        // skip
+  function annotateListsFromOriginalDOM(fragment, range) {
+    const fragmentLists = fragment.querySelectorAll("ol");
+    if (fragmentLists.length === 0) return;
+
+    const originalLists = Array.prototype.filter.call(
+      getSearchRoot(range).querySelectorAll("ol"),
+      function (ol) {
+        try {
+          return range.intersectsNode(ol);
+        } catch (e) {
+          return false;
+        }
       }
-    }
+    );
 
-    // Heuristic: look for buttons near the input with send-related labels
-    const inputEl = findInputElement();
+    fragmentLists.forEach(function (ol, i) {
+      const original = originalLists[i];
+      if (!original) return;
+
+      let start = parseInt(original.getAttribute("start"), 10);
+      if (isNaN(start)) start = 1;
+
+      const items = Array.prototype.filter.call(original.children, function (child) {
+        return child.tagName.toLowerCase() === "li";
+      });
+      for (let j = 0; j < items.length; j++) {
+        if (range.intersectsNode(items[j])) {
+          ol.setAttribute("start", String(start + j));
+          return;
+        }
+      }
+    });
+  }
+
+  // =====================================================================
+  // Text Injection
+  // =====================================================================
+
+  /**
+   * Return the editor adapter (see editors/registry.js) for Gemini's
+   * input element, or null when there is no input element or no adapter
+   * recognises it.
+   */
+  function getInputEditor() {
+    const inputEl = findInputElement();
+    if (!inputEl) return null;
+
+    const editor = AskGeminiEditors.getEditor(inputEl);
+    if (!editor) {
+      warn("No editor adapter recognises the input element:", inputEl.tagName);
+      return null;
+    }
+    log("Using editor adapter:", editor.name);
+    return editor;
+  }
+
+  /**
+   * Inject pre-composed text into the Gemini input (no citation formatting).
+   * Returns the editor written to, or null on failure.
+   */
+  function injectFormattedText(text) {
+    const editor = getInputEditor();
+    if (!editor) {
+      warn("Cannot inject text: input element not found.");
+      return null;
+    }
+
+    if (!editor.write(text)) {
+      warn("The " + editor.name + " adapter could not write the text.");
+      return null;
+    }
+    editor.placeCursor();
+    log("Text injected via the " + editor.name + " adapter.");
+    return editor;
+  }
+
+  /**
+   * Read the current user-typed text from the Gemini input element, one
+   * line per paragraph or line break, with lists, code and basic
+   * formatting written as Markdown.  Blank lines around the text are
+   * dropped; the indentation of its first line is kept.
+   */
+  function getUserInput() {
+    const editor = getInputEditor();
+    if (!editor) return "";
+    return editor.read().replace(/^(?:[ \t]*\n)+/, "").trimEnd();
+  }
+
+  /**
+   * Find the Gemini send button.
+   * @param {boolean} [quiet] — don't log the outcome (for repeated checks).
+   */
+  function findSendButton(quiet) {
+    for (let i = 0; i < pageSelectors.sendButton.length; i++) {
+      try {
+        const btn = document.querySelector(pageSelectors.sendButton[i]);
+        if (btn) {
+          if (!quiet) log("Found send button with selector:", pageSelectors.sendButton[i]);
+          return btn;
+        }
+      } catch (e) {
+        // skip
+      }
+    }
+
+    // Heuristic: look for buttons near the input with send-related labels
+    const inputEl = findInputElement();
     if (inputEl) {
       const ancestor =
         inputEl.closest(".input-area-container") ||
@@ -827,15 +2055,332 @@
         for (let k = 0; k < buttons.length; k++) {
           const label = (buttons[k].getAttribute("aria-label") || "").toLowerCase();
           if (label.indexOf("send") !== -1 || label.indexOf("submit") !== -1) {
+            if (!quiet) log("Found send button by its label:", label);
             return buttons[k];
           }
         }
       }
     }
 
+    if (!quiet) warn("Could not find the send button.");
+    return null;
+  }
+
+  // =====================================================================
+  // UI Root
+  // =====================================================================
+  //
+  // Everything the extension draws (bubble, template menu, chips, notice,
+  // note field, send preview) lives in a closed shadow root on an
+  // <ask-gemini-ui> element, styled only by the CSS in ui-styles.js.
+  // Gemini's styles can't reach our UI and ours can't leak into the page.
+  //
+  // Events from inside the root reach the page-level listeners retargeted
+  // to the host element, and document.activeElement is the host while one
+  // of our controls has focus; getEventTarget() and getActiveElement()
+  // look through the host.
+  //
+  // The theme follows the colors Gemini actually renders rather than its
+  // class names: the host's data-theme attribute ("light" or "dark") is
+  // set from the luminance of the page background.
+
+  const UI_HOST_TAG = "ask-gemini-ui";
+
+  let uiHost = null;
+  let uiRoot = null;
+
+  // Constructed stylesheets by CSS text, each built once and shared by
+  // every shadow root that adopts it.
+  const constructedSheets = new Map();
+
+  /**
+   * Style a shadow root with the given CSS.  The stylesheet is applied
+   * synchronously, so the root's content is never shown unstyled; where
+   * constructable stylesheets aren't supported, a <style> element holds
+   * it instead.
+   */
+  function adoptStyles(shadowRoot, css) {
+    if ("adoptedStyleSheets" in shadowRoot && typeof CSSStyleSheet === "function") {
+      let sheet = constructedSheets.get(css);
+      if (!sheet) {
+        sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        constructedSheets.set(css, sheet);
+      }
+      shadowRoot.adoptedStyleSheets = [sheet];
+      return;
+    }
+    const style = document.createElement("style");
+    style.textContent = css;
+    shadowRoot.appendChild(style);
+  }
+
+  /**
+   * Return the shadow root that holds the extension's UI, creating it the
+   * first time (and putting the host back if the page removed it).
+   */
+  function getUIRoot() {
+    if (!uiRoot) {
+      uiHost = document.createElement(UI_HOST_TAG);
+      uiRoot = uiHost.attachShadow({ mode: "closed" });
+      adoptStyles(uiRoot, AskGeminiStyles.UI_CSS);
+
+      updateTheme();
+      watchTheme();
+    }
+    if (!uiHost.isConnected) document.body.appendChild(uiHost);
+    return uiRoot;
+  }
+
+  /**
+   * The element an event actually happened on.  For events from inside
+   * our shadow root, e.target is the host: mouse events are resolved by
+   * position, other events by the focused element.
+   */
+  function getEventTarget(e) {
+    if (!uiHost || e.target !== uiHost) return e.target;
+    if (typeof e.clientX === "number" && typeof uiRoot.elementFromPoint === "function") {
+      const el = uiRoot.elementFromPoint(e.clientX, e.clientY);
+      if (el && el !== uiHost) return el;
+    }
+    return uiRoot.activeElement || uiHost;
+  }
+
+  /**
+   * The focused element, looking into our shadow root.
+   */
+  function getActiveElement() {
+    const active = document.activeElement;
+    if (uiHost && active === uiHost) return uiRoot.activeElement;
+    return active;
+  }
+
+  // ── Theme ─────────────────────────────────────────────────────────
+
+  /**
+   * Parse a computed color ("rgb(r, g, b)" or "rgba(r, g, b, a)").
+   */
+  function parseColor(value) {
+    const match = /^rgba?\(([^)]+)\)$/.exec(String(value).trim());
+    if (!match) return null;
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    if (parts.length < 3 || parts.some(isNaN)) return null;
+    return { r: parts[0], g: parts[1], b: parts[2], a: parts.length > 3 ? parts[3] : 1 };
+  }
+
+  /**
+   * The background color Gemini paints behind the conversation: the first
+   * opaque background from the main content area up to the root element.
+   */
+  function getPageBackground() {
+    let el = document.querySelector("main") || document.body;
+    while (el) {
+      const color = parseColor(getComputedStyle(el).backgroundColor);
+      if (color && color.a > 0.5) return color;
+      el = el.parentElement;
+    }
     return null;
   }
 
+  /**
+   * "dark" or "light", from the luminance of the page background.  Falls
+   * back to the system preference when no background is painted.
+   */
+  function detectTheme() {
+    const background = getPageBackground();
+    if (!background) {
+      return window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches
+        ? "dark"
+        : "light";
+    }
+    const luminance =
+      (0.2126 * background.r + 0.7152 * background.g + 0.0722 * background.b) / 255;
+    return luminance < 0.5 ? "dark" : "light";
+  }
+
+  function updateTheme() {
+    if (!uiHost) return;
+    const theme = detectTheme();
+    if (uiHost.getAttribute("data-theme") === theme) return;
+    uiHost.setAttribute("data-theme", theme);
+    log("UI theme:", theme);
+  }
+
+  /**
+   * Follow theme switches.  Gemini switches themes through attributes on
+   * <html> or <body>; the colors are checked again right away and once
+   * more after any color transition has finished.
+   */
+  function watchTheme() {
+    let themeTimer = null;
+    function recheck() {
+      updateTheme();
+      clearTimeout(themeTimer);
+      themeTimer = setTimeout(updateTheme, 500);
+    }
+
+    const observer = new MutationObserver(recheck);
+    observer.observe(document.documentElement, { attributes: true });
+    observer.observe(document.body, { attributes: true });
+
+    if (window.matchMedia) {
+      const query = window.matchMedia("(prefers-color-scheme: dark)");
+      if (query.addEventListener) query.addEventListener("change", recheck);
+    }
+  }
+
+  // =====================================================================
+  // Positioning
+  // =====================================================================
+  //
+  // Places floating UI next to an anchor rect (viewport coordinates): the
+  // element is measured as rendered, put on the preferred side of the
+  // anchor, flipped to the other side when it doesn't fit there, and kept
+  // inside the viewport horizontally.  Used by the bubble, the template
+  // menu, the note field and the chips.
+
+  // Space kept between floating UI and the viewport edges.
+  const VIEWPORT_MARGIN = 8;
+
+  function getViewportSize() {
+    return {
+      width: document.documentElement.clientWidth || window.innerWidth,
+      height: document.documentElement.clientHeight || window.innerHeight,
+    };
+  }
+
+  /**
+   * Whether the page (or the element `el` belongs to) is laid out right
+   * to left.
+   */
+  function isRTL(el) {
+    const node = el && el.nodeType === Node.ELEMENT_NODE ? el : el && el.parentElement;
+    return getComputedStyle(node || document.documentElement).direction === "rtl";
+  }
+
+  /**
+   * Position `el` next to `anchor`.  `el` may be position: fixed or
+   * absolute (then page scroll is added).
+   * @param {Element} el
+   * @param {{top, bottom, left, right, width}} anchor — viewport rect.
+   * @param {Object} [options]
+   * @param {string} [options.side="top"] — preferred side, "top" or "bottom".
+   * @param {string} [options.align="center"] — "center", "start" or "end";
+   *   start is the left edge, or the right edge when options.rtl is set.
+   * @param {boolean} [options.rtl=false]
+   * @param {number} [options.gap=8] — space between anchor and element.
+   * @param {boolean} [options.flip=true] — move to the other side when
+   *   the element doesn't fit on the preferred one.
+   * @param {boolean} [options.matchWidth=false] — make the element as
+   *   wide as the anchor.
+   * @param {Object} [options.bottomAnchor] — rect to place against below
+   *   instead of `anchor` (e.g. the last line of a selection).
+   * @returns {string} the side the element was placed on.
+   */
+  function placeFloating(el, anchor, options) {
+    const opts = Object.assign(
+      { side: "top", align: "center", rtl: false, gap: 8, flip: true, matchWidth: false },
+      options
+    );
+    const below = opts.bottomAnchor || anchor;
+    const viewport = getViewportSize();
+
+    if (opts.matchWidth) el.style.width = anchor.width + "px";
+    const width = el.offsetWidth;
+    const height = el.offsetHeight;
+
+    const spaceAbove = anchor.top - opts.gap - VIEWPORT_MARGIN;
+    const spaceBelow = viewport.height - below.bottom - opts.gap - VIEWPORT_MARGIN;
+    let side = opts.side;
+    if (opts.flip) {
+      if (side === "top" && height > spaceAbove && spaceBelow > spaceAbove) side = "bottom";
+      else if (side === "bottom" && height > spaceBelow && spaceAbove > spaceBelow) side = "top";
+    }
+    const target = side === "top" ? anchor : below;
+    const top = side === "top" ? target.top - opts.gap - height : target.bottom + opts.gap;
+
+    let align = opts.align;
+    if (opts.rtl && align !== "center") align = align === "start" ? "end" : "start";
+    let left;
+    if (align === "start") left = target.left;
+    else if (align === "end") left = target.right - width;
+    else left = target.left + target.width / 2 - width / 2;
+    left = Math.max(VIEWPORT_MARGIN, Math.min(left, viewport.width - width - VIEWPORT_MARGIN));
+
+    const isFixed = getComputedStyle(el).position === "fixed";
+    el.style.top = (isFixed ? top : top + window.scrollY) + "px";
+    el.style.left = (isFixed ? left : left + window.scrollX) + "px";
+    el.setAttribute("data-side", side);
+    return side;
+  }
+
+  function unionRects(rects) {
+    const top = Math.min.apply(null, rects.map(function (r) { return r.top; }));
+    const bottom = Math.max.apply(null, rects.map(function (r) { return r.bottom; }));
+    const left = Math.min.apply(null, rects.map(function (r) { return r.left; }));
+    const right = Math.max.apply(null, rects.map(function (r) { return r.right; }));
+    return { top: top, bottom: bottom, left: left, right: right, width: right - left, height: bottom - top };
+  }
+
+  // Rects on the same line as `line`: overlapping it by at least half
+  // the height of the shorter one.
+  function lineOf(rects, line) {
+    return rects.filter(function (r) {
+      const overlap = Math.min(r.bottom, line.bottom) - Math.max(r.top, line.top);
+      return overlap >= Math.min(r.height, line.height) / 2;
+    });
+  }
+
+  /**
+   * The first and last line of a selection range, as viewport rects.
+   * Each line is the union of the range's boxes on it, so a line with
+   * mixed right-to-left and left-to-right runs is one rect.  Returns
+   * null when the range has no visible boxes.
+   */
+  function getRangeLines(range) {
+    const rects = Array.prototype.filter.call(range.getClientRects(), function (r) {
+      return r.width > 0 && r.height > 0;
+    });
+    if (rects.length === 0) {
+      const bounds = range.getBoundingClientRect();
+      if (!bounds || (bounds.width === 0 && bounds.height === 0)) return null;
+      return { first: bounds, last: bounds };
+    }
+
+    const topmost = rects.reduce(function (a, b) { return b.top < a.top ? b : a; });
+    const bottommost = rects.reduce(function (a, b) { return b.bottom > a.bottom ? b : a; });
+    return {
+      first: unionRects(lineOf(rects, topmost)),
+      last: unionRects(lineOf(rects, bottommost)),
+    };
+  }
+
+  /**
+   * The part of the viewport in which `node` can be seen: the viewport,
+   * cut down by every scrolling or clipping ancestor.
+   */
+  function getVisibleArea(node) {
+    const viewport = getViewportSize();
+    const area = { top: 0, left: 0, bottom: viewport.height, right: viewport.width };
+    let el = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+    for (; el && el !== document.body && el !== document.documentElement; el = el.parentElement) {
+      if (!/(auto|scroll|hidden|clip)/.test(getComputedStyle(el).overflowY)) continue;
+      const r = el.getBoundingClientRect();
+      area.top = Math.max(area.top, r.top);
+      area.left = Math.max(area.left, r.left);
+      area.bottom = Math.min(area.bottom, r.bottom);
+      area.right = Math.min(area.right, r.right);
+    }
+    return area;
+  }
+
+  function intersects(rect, area) {
+    return (
+      rect.bottom > area.top && rect.top < area.bottom &&
+      rect.right > area.left && rect.left < area.right
+    );
+  }
+
   // =====================================================================
   // Bubble UI
   // =====================================================================
@@ -843,17 +2388,39 @@
   let bubbleEl = null;
   let currentSelectedText = "";
   let currentDisplayText = "";
+  let currentContext = null;
+  // The selection split per conversation turn when it spans several
+  // (see captureTurnParts()), else null.
+  let currentParts = null;
+
+  // The selection the bubble is shown for (a copy, so it can be followed
+  // on scroll even if the page's selection object changes).
+  let bubbleRange = null;
+  let bubbleTrackFrame = 0;
+
+  // Space left between a touch selection and the bubble below it, for
+  // the selection handles.
+  const TOUCH_HANDLE_GAP = 28;
 
   /**
    * Create the floating bubble element (once).
+   *
+   * The bubble has three parts: the main "Ask Gemini" button, which
+   * quotes the selection with the default (first) template, a ▾ toggle
+   * that opens the template menu to quote with a different one, and a
+   * "Highlight" button that saves the selection as a highlight.
    */
   function createBubble() {
     if (bubbleEl) return bubbleEl;
 
     bubbleEl = document.createElement("div");
     bubbleEl.id = "ask-gemini-bubble";
-    bubbleEl.setAttribute("role", "button");
-    bubbleEl.setAttribute("tabindex", "0");
+
+    const main = document.createElement("div");
+    main.className = "ask-gemini-bubble-main";
+    main.setAttribute("role", "button");
+    main.setAttribute("tabindex", "0");
+    main.setAttribute("aria-keyshortcuts", "Alt+Q");
 
     // Icon (sparkle/diamond shape to match Gemini branding)
     const icon = document.createElement("span");
@@ -865,442 +2432,2431 @@
     label.className = "ask-gemini-bubble-label";
     label.textContent = "Ask Gemini";
 
-    bubbleEl.appendChild(icon);
-    bubbleEl.appendChild(label);
-
-    // Click handler
-    bubbleEl.addEventListener("click", function (e) {
+    main.appendChild(icon);
+    main.appendChild(label);
+
+    // Template picker toggle (only shown when there is a choice)
+    const toggle = document.createElement("div");
+    toggle.className = "ask-gemini-bubble-toggle";
+    toggle.setAttribute("role", "button");
+    toggle.setAttribute("tabindex", "0");
+    toggle.setAttribute("aria-haspopup", "menu");
+    toggle.setAttribute("aria-label", "Choose a quote prompt");
+    toggle.innerHTML = "&#9662;"; // ▾
+
+    // Highlight action
+    const highlight = document.createElement("div");
+    highlight.className = "ask-gemini-bubble-highlight";
+    highlight.setAttribute("role", "button");
+    highlight.setAttribute("tabindex", "0");
+    highlight.setAttribute("aria-label", "Highlight the selection");
+    highlight.title = "Highlight";
+    highlight.innerHTML = "&#128397;"; // 🖍
+
+    bubbleEl.appendChild(main);
+    bubbleEl.appendChild(toggle);
+    bubbleEl.appendChild(highlight);
+
+    // Click handlers
+    main.addEventListener("click", function (e) {
       e.preventDefault();
       e.stopPropagation();
       handleBubbleClick();
     });
 
+    toggle.addEventListener("click", function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      toggleTemplateMenu(toggle, null, function (templateId) {
+        handleBubbleClick(templateId);
+      });
+    });
+
+    highlight.addEventListener("click", function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      handleHighlightClick();
+    });
+
     // Keyboard accessibility
-    bubbleEl.addEventListener("keydown", function (e) {
+    highlight.addEventListener("keydown", function (e) {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        handleHighlightClick();
+      }
+    });
+
+    main.addEventListener("keydown", function (e) {
       if (e.key === "Enter" || e.key === " ") {
         e.preventDefault();
         handleBubbleClick();
       }
     });
 
+    toggle.addEventListener("keydown", function (e) {
+      if (e.key === "Enter" || e.key === " " || e.key === "ArrowDown") {
+        e.preventDefault();
+        toggleTemplateMenu(toggle, null, function (templateId) {
+          handleBubbleClick(templateId);
+        });
+      }
+    });
+
     // Prevent the bubble click from clearing the selection
     bubbleEl.addEventListener("mousedown", function (e) {
       e.preventDefault();
       e.stopPropagation();
     });
 
-    document.body.appendChild(bubbleEl);
+    getUIRoot().appendChild(bubbleEl);
     log("Bubble element created.");
 
     return bubbleEl;
   }
 
   /**
-   * Show the bubble near the given bounding rect of the selection.
+   * Show the bubble for a selection range and keep it next to the
+   * selection while the page scrolls or resizes (see trackBubble()).
+   * For touch and pen selections it gets touch-sized targets.
    */
-  function showBubble(rect) {
+  function showBubble(range) {
     const bubble = createBubble();
+    bubble.classList.toggle("ask-gemini-bubble-has-menu", templates.length > 1);
+    bubble.classList.toggle("ask-gemini-bubble-touch", isTouchInput());
+
+    bubbleRange = range.cloneRange();
+    const side = positionBubble();
+    log(side ? "Bubble shown " + (side === "top" ? "above" : "below") + " the selection." : "Selection is out of view.");
+  }
+
+  /**
+   * Place the bubble above the first line of the tracked selection, or
+   * below its last line when there is no room above.  Touch selections
+   * are the other way round, below the selection handles: the browser
+   * shows its own selection menu above the selection.  The bubble is
+   * hidden while the selection is scrolled out of view and comes back
+   * with it.
+   * @returns {string|null} the side the bubble was placed on, or null
+   *   when it is hidden.
+   */
+  function positionBubble() {
+    if (!bubbleEl || !bubbleRange) return null;
+
+    const lines = getRangeLines(bubbleRange);
+    const area = getVisibleArea(bubbleRange.commonAncestorContainer);
+    const inView =
+      !!lines && (intersects(lines.first, area) || intersects(lines.last, area));
+
+    bubbleEl.classList.toggle("ask-gemini-bubble-visible", inView);
+    if (!inView) {
+      if (templateMenuAnchor && bubbleEl.contains(templateMenuAnchor)) hideTemplateMenu();
+      return null;
+    }
+
+    const touch = bubbleEl.classList.contains("ask-gemini-bubble-touch");
+    return placeFloating(bubbleEl, lines.first, {
+      side: touch ? "bottom" : "top",
+      gap: touch ? TOUCH_HANDLE_GAP : 8,
+      bottomAnchor: lines.last,
+      rtl: isRTL(bubbleRange.startContainer),
+    });
+  }
+
+  /**
+   * Follow the selection after a scroll or resize: reposition the bubble
+   * (and a template menu open on it) once per frame.
+   */
+  function trackBubble() {
+    if (bubbleTrackFrame) return;
+    bubbleTrackFrame = requestAnimationFrame(function () {
+      bubbleTrackFrame = 0;
+      if (!bubbleRange) return;
+      if (!bubbleRange.startContainer.isConnected) {
+        hideBubble();
+        return;
+      }
+      positionBubble();
+      if (templateMenuAnchor && bubbleEl.contains(templateMenuAnchor)) {
+        positionTemplateMenu();
+      }
+    });
+  }
+
+  /**
+   * Hide the bubble.
+   */
+  function hideBubble() {
+    if (bubbleEl && templateMenuAnchor && bubbleEl.contains(templateMenuAnchor)) {
+      hideTemplateMenu();
+    }
+    bubbleRange = null;
+    if (bubbleEl) {
+      bubbleEl.classList.remove("ask-gemini-bubble-visible");
+      log("Bubble hidden.");
+    }
+  }
 
-    // Position the bubble above the selection, centered horizontally
-    const bubbleWidth = 130; // approximate width
-    const bubbleHeight = 36; // approximate height
-    const gap = 8; // gap between selection and bubble
+  /**
+   * Handle the bubble click: show quote chip and focus input.
+   * @param {string} [templateId] — the template to quote with; defaults
+   *   to the first template in the library.
+   */
+  function handleBubbleClick(templateId) {
+    log("Bubble clicked. Selected text:", redact(currentSelectedText));
 
-    let top = rect.top - bubbleHeight - gap + window.scrollY;
-    let left =
-      rect.left + rect.width / 2 - bubbleWidth / 2 + window.scrollX;
+    if (!currentSelectedText) {
+      warn("No text selected.");
+      hideBubble();
+      return;
+    }
 
-    // Ensure the bubble stays within viewport bounds
-    const viewportWidth = window.innerWidth;
-    if (left < 8) left = 8;
-    if (left + bubbleWidth > viewportWidth - 8) {
-      left = viewportWidth - bubbleWidth - 8;
+    // Show the quote chip instead of injecting text directly; a selection
+    // across several turns becomes one quote per turn
+    if (currentParts) {
+      currentParts.forEach(function (part) {
+        showQuoteChip(part.text, part.displayText, templateId, part.context);
+      });
+      log("Selection spans", currentParts.length, "turns; quoted each part separately.");
+    } else {
+      showQuoteChip(currentSelectedText, currentDisplayText, templateId, currentContext);
     }
 
-    // If not enough room above, show below
-    if (top < window.scrollY + 8) {
-      top = rect.bottom + gap + window.scrollY;
+    // Clear selection and hide bubble
+    window.getSelection().removeAllRanges();
+    hideBubble();
+    currentSelectedText = "";
+    currentDisplayText = "";
+    currentContext = null;
+    currentParts = null;
+
+    // Focus the input area AFTER clearing selection and hiding the bubble,
+    // with a short delay so Gemini's framework doesn't steal focus back.
+    setTimeout(function () {
+      if (focusInput()) log("Input focused after bubble click.");
+    }, 100);
+  }
+
+  // =====================================================================
+  // Template Menu
+  // =====================================================================
+
+  let templateMenuEl = null;
+  let templateMenuAnchor = null;
+
+  /**
+   * Create the template picker menu element (once).  It is shared by the
+   * bubble and the quote chips.
+   */
+  function createTemplateMenu() {
+    if (templateMenuEl) return templateMenuEl;
+
+    templateMenuEl = document.createElement("div");
+    templateMenuEl.id = "ask-gemini-template-menu";
+    templateMenuEl.setAttribute("role", "menu");
+
+    // Keep the selection and input focus while picking a template
+    templateMenuEl.addEventListener("mousedown", function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+    });
+
+    templateMenuEl.addEventListener("keydown", function (e) {
+      const items = Array.prototype.slice.call(
+        templateMenuEl.querySelectorAll(".ask-gemini-template-menu-item")
+      );
+      const index = items.indexOf(getActiveElement());
+
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        const next = items[(index + step + items.length) % items.length];
+        if (next) next.focus();
+      }
+    });
+
+    getUIRoot().appendChild(templateMenuEl);
+    log("Template menu element created.");
+    return templateMenuEl;
+  }
+
+  /**
+   * Open the template menu below (or above) the anchor element.  Calls
+   * onPick(templateId) when the user chooses a template.  Opening it
+   * again from the same anchor closes it.
+   * @param {Element} anchor — the element the menu is attached to.
+   * @param {string|null} selectedId — the currently chosen template, marked in the list.
+   * @param {function(string)} onPick
+   */
+  function toggleTemplateMenu(anchor, selectedId, onPick) {
+    if (templateMenuAnchor === anchor) {
+      hideTemplateMenu();
+      return;
     }
 
-    bubble.style.top = top + "px";
-    bubble.style.left = left + "px";
-    bubble.classList.add("ask-gemini-bubble-visible");
+    const menu = createTemplateMenu();
+    menu.textContent = "";
+
+    templates.forEach(function (template) {
+      const item = document.createElement("div");
+      item.className = "ask-gemini-template-menu-item";
+      item.setAttribute("role", "menuitemradio");
+      item.setAttribute("tabindex", "-1");
+      item.setAttribute(
+        "aria-checked",
+        template.id === selectedId ? "true" : "false"
+      );
+      item.textContent = template.name;
+
+      function pick(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        hideTemplateMenu();
+        onPick(template.id);
+      }
+
+      item.addEventListener("click", pick);
+      item.addEventListener("keydown", function (e) {
+        if (e.key === "Enter" || e.key === " ") pick(e);
+      });
+
+      menu.appendChild(item);
+    });
+
+    templateMenuAnchor = anchor;
+    anchor.setAttribute("aria-expanded", "true");
+    menu.classList.add("ask-gemini-template-menu-visible");
+
+    positionTemplateMenu();
+
+    const first =
+      menu.querySelector('[aria-checked="true"]') ||
+      menu.querySelector(".ask-gemini-template-menu-item");
+    if (first && getActiveElement() === anchor) first.focus();
+
+    log("Template menu opened with", templates.length, "template(s).");
+  }
+
+  /**
+   * Place the open template menu below its anchor, or above it when there
+   * is no room below (the chips sit near the bottom of the viewport).
+   */
+  function positionTemplateMenu() {
+    if (!templateMenuEl || !templateMenuAnchor) return;
+    placeFloating(templateMenuEl, templateMenuAnchor.getBoundingClientRect(), {
+      side: "bottom",
+      align: "start",
+      rtl: isRTL(document.body),
+      gap: 4,
+    });
+  }
+
+  /**
+   * Close the template menu if it is open.
+   */
+  function hideTemplateMenu() {
+    if (!templateMenuEl || !templateMenuAnchor) return;
+    templateMenuEl.classList.remove("ask-gemini-template-menu-visible");
+    templateMenuAnchor.setAttribute("aria-expanded", "false");
+    templateMenuAnchor = null;
+  }
+
+  /**
+   * Check if an event target belongs to the bubble or the template menu,
+   * so the selection handlers leave them alone.
+   */
+  function isBubbleUI(target) {
+    return (
+      (bubbleEl && bubbleEl.contains(target)) ||
+      (templateMenuEl && templateMenuEl.contains(target)) ||
+      (noteEditorEl && noteEditorEl.contains(target)) ||
+      (previewEl && previewEl.contains(target))
+    );
+  }
 
-    log("Bubble shown at", { top, left });
+  // =====================================================================
+  // Notice
+  // =====================================================================
+
+  let noticeEl = null;
+  let noticeTimer = null;
+
+  /**
+   * Show a short message above the input area for a few seconds.
+   * @param {string} message
+   * @param {boolean} [isError] — show it as an error, for longer.
+   */
+  function showNotice(message, isError) {
+    if (!noticeEl) {
+      noticeEl = document.createElement("div");
+      noticeEl.id = "ask-gemini-notice";
+      noticeEl.setAttribute("aria-live", "polite");
+      getUIRoot().appendChild(noticeEl);
+    }
+
+    noticeEl.textContent = message;
+    noticeEl.setAttribute("role", isError ? "alert" : "status");
+    noticeEl.classList.toggle("ask-gemini-notice-error", !!isError);
+    noticeEl.classList.add("ask-gemini-notice-visible");
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(function () {
+      noticeEl.classList.remove("ask-gemini-notice-visible");
+    }, isError ? 8000 : 4000);
+  }
+
+  // =====================================================================
+  // Quote Chip UI
+  // =====================================================================
+
+  /**
+   * Create the quote chip stack element (once).  The stack holds one
+   * chip per attached quote; the chips themselves are rebuilt by
+   * renderQuoteChips() whenever the quote list changes.
+   */
+  function createQuoteChip() {
+    if (chipEl) return chipEl;
+
+    chipEl = document.createElement("div");
+    chipEl.id = "ask-gemini-quote-chip";
+    chipEl.setAttribute("role", "list");
+    chipEl.setAttribute("aria-label", "Attached quotes");
+
+    // Prevent mousedown from stealing focus from the input
+    chipEl.addEventListener("mousedown", function (e) {
+      e.preventDefault();
+    });
+
+    getUIRoot().appendChild(chipEl);
+    log("Quote chip element created.");
+    return chipEl;
+  }
+
+  /**
+   * Create a small icon button used inside a chip.
+   */
+  function createChipButton(className, html, ariaLabel, onClick) {
+    const btn = document.createElement("button");
+    btn.className = className;
+    btn.innerHTML = html;
+    btn.setAttribute("aria-label", ariaLabel);
+    btn.title = ariaLabel;
+    btn.addEventListener("click", function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      onClick();
+    });
+    return btn;
+  }
+
+  /**
+   * Build the chip element for the quote at the given index.
+   */
+  function createChipItem(quote, index) {
+    const item = document.createElement("div");
+    item.className = "ask-gemini-chip-item";
+    item.setAttribute("role", "listitem");
+
+    if (quotes.length > 1) {
+      const number = document.createElement("span");
+      number.className = "ask-gemini-chip-number";
+      number.textContent = String(index + 1);
+      item.appendChild(number);
+    }
+
+    const quoteIcon = document.createElement("span");
+    quoteIcon.className = "ask-gemini-chip-quote-icon";
+    quoteIcon.textContent = "\u275D"; // ❝
+
+    // Use the visual/readable text for the chip display
+    const raw = quote.displayText;
+    // Truncate long text for display
+    let preview = raw.length > 120 ? raw.substring(0, 120) + "\u2026" : raw;
+    // Replace newlines with spaces for single-line display
+    preview = preview.replace(/\n/g, " ");
+
+    const textContainer = document.createElement("span");
+    textContainer.className = "ask-gemini-chip-text";
+    textContainer.textContent = preview;
+
+    // Clicking the text jumps back to the quoted passage
+    const anchor = quote.context.anchor;
+    if (anchor) {
+      textContainer.classList.add("ask-gemini-chip-text-link");
+      textContainer.setAttribute("role", "button");
+      textContainer.setAttribute("tabindex", "0");
+      textContainer.title = "Show the quoted passage";
+      textContainer.addEventListener("click", function (e) {
+        e.preventDefault();
+        e.stopPropagation();
+        revealAnchor(anchor);
+      });
+      textContainer.addEventListener("keydown", function (e) {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          revealAnchor(anchor);
+        }
+      });
+    }
+
+    item.appendChild(quoteIcon);
+    item.appendChild(textContainer);
+
+    // Who wrote the turn the quote came from, and which turn it was
+    if (quote.context.role) {
+      const turn = quote.context.turnNumber;
+      const role = document.createElement("span");
+      role.className = "ask-gemini-chip-role";
+      role.setAttribute("data-role", quote.context.role);
+      role.textContent =
+        (quote.context.role === "user" ? "You" : "Gemini") +
+        (turn ? " \u00B7 turn " + turn : "");
+      role.title =
+        (quote.context.role === "user" ? "From your message" : "From Gemini\u2019s response") +
+        (turn ? " (turn " + turn + ")" : "");
+      item.appendChild(role);
+    }
+
+    // Where a quote from another website came from
+    if (quote.context.source) {
+      const source = document.createElement("span");
+      source.className = "ask-gemini-chip-source";
+      source.textContent = getSourceLabel(quote.context.source);
+      source.title = quote.context.source.title
+        ? quote.context.source.title + "\n" + quote.context.source.url
+        : quote.context.source.url;
+      item.appendChild(source);
+    }
+
+    // Template switcher (only useful when there is more than one)
+    if (templates.length > 1) {
+      const template = AskGeminiTemplates.findTemplate(templates, quote.templateId);
+      const templateBtn = document.createElement("button");
+      templateBtn.className = "ask-gemini-chip-template";
+      templateBtn.textContent = template.name + " \u25BE"; // ▾
+      templateBtn.title = "Quote prompt: " + template.name;
+      templateBtn.setAttribute("aria-haspopup", "menu");
+      templateBtn.setAttribute("aria-label", "Change quote prompt (" + template.name + ")");
+      templateBtn.addEventListener("click", function (e) {
+        e.preventDefault();
+        e.stopPropagation();
+        toggleTemplateMenu(templateBtn, template.id, function (templateId) {
+          setQuoteTemplate(index, templateId);
+        });
+      });
+      item.appendChild(templateBtn);
+    }
+
+    if (quotes.length > 1) {
+      const upBtn = createChipButton(
+        "ask-gemini-chip-move", "&#9650;", "Move quote up", // ▲
+        function () { moveQuote(index, index - 1); }
+      );
+      upBtn.disabled = index === 0;
+
+      const downBtn = createChipButton(
+        "ask-gemini-chip-move", "&#9660;", "Move quote down", // ▼
+        function () { moveQuote(index, index + 1); }
+      );
+      downBtn.disabled = index === quotes.length - 1;
+
+      item.appendChild(upBtn);
+      item.appendChild(downBtn);
+    }
+
+    item.appendChild(createChipButton(
+      "ask-gemini-chip-close", "&#10005;", "Remove quote", // ✕
+      function () { removeQuote(index); }
+    ));
+
+    return item;
+  }
+
+  /**
+   * Rebuild the chip stack from the current quote list and show or hide
+   * it accordingly.
+   */
+  function renderQuoteChips() {
+    saveDraft();
+    const chip = createQuoteChip();
+    hideTemplateMenu();
+    chip.textContent = "";
+
+    if (quotes.length === 0) {
+      chip.classList.remove("ask-gemini-chip-visible");
+      log("Quote chip hidden.");
+      return;
+    }
+
+    quotes.forEach(function (quote, index) {
+      chip.appendChild(createChipItem(quote, index));
+    });
+
+    // Position and show after a frame so dimensions are available (but
+    // keep the chips hidden behind an open send preview)
+    requestAnimationFrame(function () {
+      positionChip();
+      chip.classList.toggle("ask-gemini-chip-visible", !previewEl);
+    });
+    log("Quote chip shown with", quotes.length, "quote(s).");
+  }
+
+  /**
+   * Attach the given selected text as a new quote chip.  Existing quotes
+   * are kept, so several passages can be quoted in one message.
+   * @param {string} text — the raw text (with LaTeX) for the message.
+   * @param {string} [visibleText] — the human-readable display text (without LaTeX markup).
+   * @param {string} [templateId] — the template to wrap this quote with.
+   * @param {Object} [context] — where the quote came from, as returned by
+   *   getSelectionContext(), plus the text `anchor` of the passage (see
+   *   Text Anchors); quotes from other websites carry a `source` of
+   *   { url, title } instead.
+   */
+  function showQuoteChip(text, visibleText, templateId, context) {
+    quotes.push({
+      text: text,
+      displayText: visibleText || text,
+      templateId: templateId || templates[0].id,
+      context: context || { before: "", after: "", turnNumber: 0 },
+    });
+    renderQuoteChips();
+  }
+
+  /**
+   * Short label for the website a quote came from (its host name).
+   */
+  function getSourceLabel(source) {
+    try {
+      return new URL(source.url).hostname.replace(/^www\./, "");
+    } catch (e) {
+      return source.title || source.url;
+    }
+  }
+
+  /**
+   * Move the focus to the end of Gemini's input box, ready for the
+   * question about the attached quotes.  Returns false when there is no
+   * input box to focus.
+   */
+  function focusInput() {
+    const editor = getInputEditor();
+    if (!editor) return false;
+    editor.placeCursor();
+    return true;
+  }
+
+  /**
+   * Attach quotes captured on other websites, handed over by the
+   * background service worker (which keeps them until one Gemini tab
+   * takes them, see background.js).
+   */
+  function attachPendingQuotes(pendingQuotes) {
+    if (!Array.isArray(pendingQuotes) || pendingQuotes.length === 0) return;
+
+    pendingQuotes.forEach(function (pending) {
+      showQuoteChip(pending.text, pending.text, pending.templateId, {
+        before: "",
+        after: "",
+        turnNumber: 0,
+        source: pending.source,
+      });
+    });
+    log("Attached", pendingQuotes.length, "pending quote(s).");
+    focusInput();
+  }
+
+  /**
+   * Ask the background service worker for quotes waiting for this tab
+   * (it may have been opened, or still been loading, when they were
+   * handed over).
+   */
+  function claimPendingQuotes() {
+    if (typeof chrome === "undefined" || !chrome.runtime || !chrome.runtime.sendMessage) {
+      return;
+    }
+    chrome.runtime.sendMessage({ type: "claim-pending-quotes" }, function (pendingQuotes) {
+      if (chrome.runtime.lastError) return;
+      attachPendingQuotes(pendingQuotes);
+    });
+  }
+
+  /**
+   * Re-attach a quote from the history (sent by the popup) as a chip.
+   */
+  function attachHistoryQuote(entry) {
+    if (!entry || !entry.text) return;
+
+    showQuoteChip(entry.text, entry.displayText, entry.templateId, {
+      before: "",
+      after: "",
+      turnNumber: 0,
+      source: entry.source || null,
+      anchor: entry.anchor || null,
+    });
+    log("Re-attached quote from the history.");
+    focusInput();
+  }
+
+  /**
+   * Switch the template used for the quote at the given index.
+   */
+  function setQuoteTemplate(index, templateId) {
+    if (!quotes[index]) return;
+    quotes[index].templateId = templateId;
+    renderQuoteChips();
+    log("Quote", index + 1, "now uses template:", templateId);
+  }
+
+  /**
+   * Remove the quote at the given index.
+   */
+  function removeQuote(index) {
+    quotes.splice(index, 1);
+    renderQuoteChips();
+  }
+
+  /**
+   * Move the quote at index `from` to index `to`.
+   */
+  function moveQuote(from, to) {
+    if (to < 0 || to >= quotes.length) return;
+    const moved = quotes.splice(from, 1)[0];
+    quotes.splice(to, 0, moved);
+    renderQuoteChips();
+  }
+
+  /**
+   * Hide the chip stack and discard all attached quotes.
+   */
+  function hideQuoteChip() {
+    quotes = [];
+    if (chipEl) renderQuoteChips();
+  }
+
+  /**
+   * Find the visual input box around Gemini's input element, which the
+   * chips and the send preview are positioned against.  Uses INPUT-AREA-V2
+   * (the rounded visual container) or falls back to
+   * .input-area-container / .text-input-field.
+   */
+  function findInputContainer() {
+    const inputEl = findInputElement();
+    if (!inputEl) return null;
+
+    return (
+      inputEl.closest("input-area-v2") ||
+      inputEl.closest(".input-area-container") ||
+      inputEl.closest(".text-input-field") ||
+      inputEl.closest(".input-area") ||
+      inputEl.closest("rich-textarea") ||
+      inputEl
+    );
+  }
+
+  /**
+   * Position the quote chip above the Gemini input area.
+   */
+  function positionChip() {
+    if (!chipEl) return;
+
+    const container = findInputContainer();
+    if (!container) return;
+    watchInputLayout(container);
+
+    placeFloating(chipEl, container.getBoundingClientRect(), {
+      side: "top",
+      align: "start",
+      gap: 4,
+      flip: false,
+      matchWidth: true,
+    });
+  }
+
+  // Keeps the chips and the send preview aligned when the input box
+  // changes size (it grows with the typed text) or the chip stack does.
+  let inputLayoutObserver = null;
+  let observedInputContainer = null;
+
+  function watchInputLayout(container) {
+    if (typeof ResizeObserver === "undefined") return;
+    if (!inputLayoutObserver) {
+      inputLayoutObserver = new ResizeObserver(function () {
+        if (quotes.length > 0) positionChip();
+        positionSendPreview();
+      });
+      if (chipEl) inputLayoutObserver.observe(chipEl);
+    }
+    if (observedInputContainer === container) return;
+    if (observedInputContainer) inputLayoutObserver.unobserve(observedInputContainer);
+    inputLayoutObserver.observe(container);
+    observedInputContainer = container;
+  }
+
+  // =====================================================================
+  // Quote Drafts
+  // =====================================================================
+  //
+  // The attached quotes are saved per conversation (see drafts.js; the
+  // background service worker writes them), so they survive a reload and
+  // are parked, not lost, when the user switches to another
+  // conversation.  A draft is dropped once its quotes are sent or removed.
+
+  // The conversation the attached quotes belong to, and whether its
+  // stored draft has been read yet (until then nothing is saved, so the
+  // draft isn't overwritten before it is restored).
+  let draftKey = null;
+  let isDraftLoaded = false;
+
+  // The conversation a message was last sent from, until the next
+  // conversation change.  Sending the first message of a new chat gives
+  // it its own address (`/app` becomes `/app/<id>`), and the draft moves
+  // along instead of being parked under the new chat's address.
+  let sentFromKey = null;
+
+  function hasDraftStorage() {
+    return (
+      typeof chrome !== "undefined" &&
+      !!chrome.storage &&
+      !!chrome.storage.local &&
+      !!chrome.runtime
+    );
+  }
+
+  /**
+   * Save the attached quotes as the draft of their conversation (or drop
+   * the draft when there are none).
+   */
+  function saveDraft() {
+    if (!isDraftLoaded || !hasDraftStorage()) return;
+
+    AskGeminiDrafts.sendDraftChange(
+      { type: "draft-save", key: draftKey, quotes: quotes.slice() },
+      function (done) {
+        if (!done) warn("Couldn't save the quote draft.");
+      }
+    );
+  }
+
+  function isValidDraftQuote(quote) {
+    return quote && typeof quote.text === "string" && quote.text !== "";
+  }
+
+  /**
+   * Attach the draft quotes of the open conversation, in front of any
+   * quotes attached while it was loading.
+   */
+  function restoreDraft() {
+    draftKey = AskGeminiHighlights.getConversationKey(location.href);
+    isDraftLoaded = false;
+    if (!hasDraftStorage()) return;
+
+    const key = draftKey;
+    AskGeminiDrafts.loadDrafts(function (drafts) {
+      if (key !== draftKey) return; // switched again meanwhile
+      isDraftLoaded = true;
+
+      const draft = drafts[key];
+      const restored = draft && Array.isArray(draft.quotes)
+        ? draft.quotes.filter(isValidDraftQuote)
+        : [];
+      if (restored.length === 0) {
+        if (quotes.length > 0) saveDraft();
+        return;
+      }
+
+      restored.forEach(function (quote) {
+        quote.displayText = quote.displayText || quote.text;
+        quote.context = quote.context || { before: "", after: "", turnNumber: 0 };
+      });
+      quotes = restored.concat(quotes);
+      renderQuoteChips();
+      log("Restored", restored.length, "quote(s) from this conversation's draft.");
+    });
+  }
+
+  /**
+   * Remember that a message is being sent from the open conversation
+   * (see sentFromKey).
+   */
+  function noteSend() {
+    sentFromKey = AskGeminiHighlights.getConversationKey(location.href);
+  }
+
+  /**
+   * Check whether a conversation change is a new chat getting its own
+   * address after its first message was sent.
+   */
+  function isNewChatSaved(previousKey) {
+    const key = AskGeminiHighlights.getConversationKey(location.href);
+    return (
+      sentFromKey !== null &&
+      sentFromKey === previousKey &&
+      key.indexOf(previousKey + "/") === 0
+    );
+  }
+
+  /**
+   * Move the draft of a new chat to the address the chat got after its
+   * first message, keeping the attached quotes.
+   */
+  function moveDraft(fromKey) {
+    const wasLoaded = isDraftLoaded;
+    draftKey = AskGeminiHighlights.getConversationKey(location.href);
+    isDraftLoaded = false;
+    if (!hasDraftStorage()) return;
+
+    // Saves wait until the draft is moved, so it can't come back under
+    // the old key
+    const key = draftKey;
+    AskGeminiDrafts.sendDraftChange(
+      { type: "draft-move", from: fromKey, to: key },
+      function () {
+        if (key !== draftKey) return; // switched again meanwhile
+        if (wasLoaded) {
+          // The attached quotes already include the draft
+          isDraftLoaded = true;
+          saveDraft();
+        } else {
+          restoreDraft();
+        }
+      }
+    );
+  }
+
+  /**
+   * Put the attached quotes aside when leaving a conversation.  They are
+   * already saved as its draft, so the chips are just cleared.
+   */
+  function parkDraft() {
+    isDraftLoaded = false;
+    hideQuoteChip();
+  }
+
+  // =====================================================================
+  // Highlights
+  // =====================================================================
+  //
+  // Passages saved with the bubble's Highlight button (see highlights.js
+  // for storage).  They are painted with the CSS Custom Highlight API, so
+  // Gemini's DOM is never modified; after Gemini re-renders, the anchors
+  // are simply resolved and painted again.
+
+  // Highlights of the open conversation, as stored, and the ranges they
+  // were last resolved to (by id; null when not in the page).
+  let savedHighlights = [];
+  let highlightRanges = new Map();
+
+  let noteEditorEl = null;
+  let noteEditorHighlight = null;
+
+  /**
+   * Handle the bubble's Highlight button: save the selection as a
+   * highlight and offer to add a note to it.
+   */
+  function handleHighlightClick() {
+    const anchor = currentContext && currentContext.anchor;
+    if (!anchor || typeof chrome === "undefined" || !chrome.storage) {
+      warn("Nothing to highlight.");
+      hideBubble();
+      return;
+    }
+
+    const rect = bubbleEl.getBoundingClientRect();
+    const text = currentDisplayText;
+
+    window.getSelection().removeAllRanges();
+    hideBubble();
+    currentSelectedText = "";
+    currentDisplayText = "";
+    currentContext = null;
+    currentParts = null;
+
+    AskGeminiHighlights.addHighlight(
+      location.href,
+      getConversationTitle(),
+      { anchor: anchor, text: text },
+      function (highlight) {
+        savedHighlights.push(highlight);
+        paintHighlights();
+        log("Highlight saved:", highlight.id);
+        openNoteEditor(highlight, rect);
+      }
+    );
+  }
+
+  /**
+   * Load the highlights of the open conversation and paint them.
+   */
+  function loadConversationHighlights() {
+    if (typeof chrome === "undefined" || !chrome.storage) return;
+    AskGeminiHighlights.loadHighlights(location.href, function (list) {
+      savedHighlights = list;
+      paintHighlights();
+      log("Loaded", list.length, "highlight(s) for this conversation.");
+    });
+  }
+
+  /**
+   * Check whether a range is still in the page, outside all of `roots`.
+   */
+  function isRangeOutside(range, roots) {
+    return !!range && range.startContainer.isConnected && !roots.some(function (root) {
+      return root.contains(range.startContainer);
+    });
+  }
+
+  /**
+   * Resolve the saved highlights against the page and paint the ones that
+   * are currently rendered.  Given `roots` (parts of the page that
+   * changed), only the highlights in them, or not found before, are
+   * looked for again, and only in those parts.
+   */
+  function paintHighlights(roots) {
+    if (typeof CSS === "undefined" || !CSS.highlights || typeof Highlight === "undefined") {
+      return;
+    }
+
+    const turns = roots
+      ? roots.reduce(function (list, root) { return list.concat(getTurnElements(root)); }, [])
+      : null;
+    const ranges = new Map();
+    savedHighlights.forEach(function (highlight) {
+      let range = highlightRanges.get(highlight.id) || null;
+      if (!turns) {
+        range = resolveTextAnchor(highlight.anchor);
+      } else if (!isRangeOutside(range, roots) && highlight.anchor && highlight.anchor.exact) {
+        range = null;
+        for (let i = 0; i < turns.length && !range; i++) {
+          range = findAnchorInElement(highlight.anchor, turns[i]);
+        }
+      }
+      ranges.set(highlight.id, range);
+    });
+    highlightRanges = ranges;
+
+    const painted = Array.from(ranges.values()).filter(Boolean);
+    if (painted.length === 0) {
+      CSS.highlights.delete("ask-gemini-highlight");
+      return;
+    }
+    CSS.highlights.set("ask-gemini-highlight", new Highlight(...painted));
+  }
+
+  /**
+   * Show the note field for a freshly saved highlight next to where the
+   * bubble was.  Enter (or clicking elsewhere) saves the note, Escape
+   * closes it without one.
+   */
+  function openNoteEditor(highlight, rect) {
+    closeNoteEditor(false);
+
+    noteEditorEl = document.createElement("div");
+    noteEditorEl.id = "ask-gemini-note-editor";
+    noteEditorEl.setAttribute("role", "dialog");
+    noteEditorEl.setAttribute("aria-label", "Highlight saved");
+
+    const label = document.createElement("span");
+    label.className = "ask-gemini-note-label";
+    label.textContent = "Highlighted";
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "ask-gemini-note-input";
+    input.placeholder = "Add a note (optional)";
+    input.setAttribute("aria-label", "Note for this highlight");
+    input.addEventListener("keydown", function (e) {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        closeNoteEditor(true);
+      }
+    });
+
+    noteEditorEl.appendChild(label);
+    noteEditorEl.appendChild(input);
+    getUIRoot().appendChild(noteEditorEl);
+    noteEditorHighlight = highlight;
+
+    // Where the bubble was: its top edge, starting at its left edge
+    const bubbleTop = { top: rect.top, bottom: rect.top, left: rect.left, right: rect.right, width: rect.width };
+    placeFloating(noteEditorEl, bubbleTop, { side: "bottom", align: "start", gap: 0 });
+
+    input.focus();
+  }
+
+  /**
+   * Close the note field, saving what was typed when `save` is true.
+   */
+  function closeNoteEditor(save) {
+    if (!noteEditorEl) return;
+
+    const note = noteEditorEl.querySelector("input").value.trim();
+    const highlight = noteEditorHighlight;
+    noteEditorEl.remove();
+    noteEditorEl = null;
+    noteEditorHighlight = null;
+
+    if (save && note) {
+      highlight.note = note;
+      AskGeminiHighlights.updateHighlight(location.href, highlight.id, { note: note });
+      log("Note saved for highlight:", highlight.id);
+    }
+  }
+
+  // =====================================================================
+  // Send Interception
+  // =====================================================================
+
+  /**
+   * Render a single quote with the template it was attached with.
+   * @param {Object} quote
+   * @param {number} number — the quote's 1-based position in the stack.
+   * @param {string} userInput — what the user typed.
+   * @param {Object} used — gets the placeholders written out (see
+   *   AskGeminiTemplates.renderTemplate()).
+   */
+  function formatQuote(quote, number, userInput, used) {
+    const template = AskGeminiTemplates.findTemplate(templates, quote.templateId);
+    return AskGeminiTemplates.renderTemplate(template.format, {
+      SELECTED: quote.text,
+      USER_INPUT: userInput,
+      DATE: new Date().toLocaleDateString(),
+      PAGE_URL: location.href,
+      CONVERSATION_TITLE: getConversationTitle(),
+      TURN_NUMBER: quote.context.turnNumber || "",
+      TURN_ROLE: quote.context.role || "",
+      FROM_USER: quote.context.role === "user" ? "user" : "",
+      FROM_MODEL: quote.context.role === "model" ? "model" : "",
+      QUOTE_NUMBER: number,
+      CONTEXT_BEFORE: quote.context.before,
+      CONTEXT_AFTER: quote.context.after,
+      SOURCE_URL: quote.context.source ? quote.context.source.url : "",
+      SOURCE_TITLE: quote.context.source ? quote.context.source.title : "",
+    }, used);
+  }
+
+  /**
+   * Build the message for all attached quotes and the user's input.  A
+   * single quote is rendered exactly as its template describes; with
+   * several quotes, each one is numbered and wrapped by its template
+   * separately.  The input is written out once: by the first template
+   * that places it with [USER_INPUT] (later quotes see it as empty), or
+   * after the quotes when none does.
+   */
+  function buildMessage(userInput) {
+    let inputPlaced = false;
+
+    function render(quote, number) {
+      const used = {};
+      const text = formatQuote(quote, number, inputPlaced ? "" : userInput, used);
+      if (used.USER_INPUT) inputPlaced = true;
+      return text;
+    }
+
+    const citation = quotes.length === 1
+      ? render(quotes[0], 1)
+      : quotes
+        .map(function (quote, i) {
+          return "Quote " + (i + 1) + ":\n" + render(quote, i + 1);
+        })
+        .join("\n");
+
+    return userInput && !inputPlaced
+      ? citation + "\n" + userInput
+      : citation.trimEnd();
+  }
+
+  /**
+   * Record sent quotes in the quote history (chrome.storage.local).
+   */
+  function recordHistory(sentQuotes, userInput) {
+    if (historyLimit === 0 || typeof chrome === "undefined" || !chrome.storage) {
+      return;
+    }
+
+    const entries = sentQuotes.map(function (quote) {
+      const template = AskGeminiTemplates.findTemplate(templates, quote.templateId);
+      return AskGeminiHistory.createEntry({
+        text: quote.text,
+        displayText: quote.displayText,
+        templateId: template.id,
+        templateName: template.name,
+        question: userInput,
+        conversationUrl: location.href,
+        source: quote.context.source,
+        anchor: quote.context.anchor,
+      });
+    });
+
+    AskGeminiHistory.sendHistoryChange(
+      { type: "history-add", entries: entries, limit: historyLimit },
+      function (list) {
+        if (list) log("Recorded", entries.length, "quote(s) in the history.");
+        else warn("Couldn't record the sent quotes in the history.");
+      }
+    );
+  }
+
+  // How long each step of sending may take (the editor showing the
+  // message, the send button becoming enabled, the new turn appearing),
+  // how long sending may take in all, and how often it is attempted.
+  const SEND_STEP_TIMEOUT = 4000;
+  const SEND_TOTAL_TIMEOUT = 15000;
+  const SEND_MAX_ATTEMPTS = 3;
+
+  /**
+   * Wait until check() returns true, re-checking whenever the page
+   * changes.  Calls back with true as soon as it does, or with the last
+   * result once `timeout` ms have passed.
+   */
+  function waitFor(check, timeout, callback) {
+    if (check()) {
+      callback(true);
+      return;
+    }
+
+    let done = false;
+    const observer = new MutationObserver(function () {
+      if (check()) finish(true);
+    });
+    const timer = setTimeout(function () {
+      finish(check());
+    }, Math.max(timeout, 0));
+
+    function finish(result) {
+      if (done) return;
+      done = true;
+      observer.disconnect();
+      clearTimeout(timer);
+      callback(result);
+    }
+
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ["disabled", "aria-disabled"],
+    });
+  }
+
+  function collapseWhitespace(text) {
+    return text.replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Check whether the editor currently holds the given message.
+   */
+  function editorShows(editor, message) {
+    return collapseWhitespace(editor.read()) === collapseWhitespace(message);
+  }
+
+  function isSendButtonEnabled(btn) {
+    return !btn.disabled && btn.getAttribute("aria-disabled") !== "true";
+  }
+
+  function countUserTurns() {
+    return document.querySelectorAll(pageSelectors.userTurn.join(", ")).length;
+  }
+
+  /**
+   * Check whether the editor no longer holds the given message (Gemini
+   * empties the input, or replaces it, once it takes a message).
+   */
+  function editorWasCleared(editor, message) {
+    return !editor.surface.isConnected || !editorShows(editor, message);
+  }
+
+  /**
+   * Press Gemini's send button (or Enter in the input when there is no
+   * send button) without our own send interception reacting to it.
+   */
+  function triggerSend(editor) {
+    isBypassingSend = true;
+    try {
+      const sendBtn = findSendButton();
+      if (sendBtn) {
+        log("Triggering send via button click.");
+        sendBtn.click();
+      } else {
+        log("Send button not found, dispatching Enter key.");
+        editor.surface.dispatchEvent(
+          new KeyboardEvent("keydown", {
+            key: "Enter",
+            code: "Enter",
+            keyCode: 13,
+            which: 13,
+            bubbles: true,
+            cancelable: true,
+          })
+        );
+      }
+    } finally {
+      isBypassingSend = false;
+    }
+  }
+
+  /**
+   * Inject a message and send it, verifying each step by watching the
+   * page: the editor shows the message, the send button is enabled, and
+   * the message is taken.  Until the send is triggered, a failed attempt
+   * is retried (up to SEND_MAX_ATTEMPTS, within SEND_TOTAL_TIMEOUT).
+   * Once it is triggered nothing is injected or sent again, so the
+   * message can't be posted twice; a new user turn or the editor being
+   * cleared confirms it.
+   *
+   * Calls back with (sent, triggered): whether the message was confirmed
+   * sent, and whether the send was triggered at all.
+   */
+  function sendMessage(message, callback) {
+    const deadline = Date.now() + SEND_TOTAL_TIMEOUT;
+    const turnsBefore = countUserTurns();
+    let attempt = 0;
+
+    function stepTimeout() {
+      return Math.min(SEND_STEP_TIMEOUT, deadline - Date.now());
+    }
+
+    function retry(reason) {
+      warn("Send attempt " + attempt + " failed: " + reason);
+      if (attempt >= SEND_MAX_ATTEMPTS || Date.now() >= deadline) {
+        callback(false, false);
+        return;
+      }
+      tryToSend();
+    }
+
+    function tryToSend() {
+      attempt++;
+      log("Send attempt " + attempt + " of " + SEND_MAX_ATTEMPTS + ".");
+
+      const editor = injectFormattedText(message);
+      if (!editor) {
+        retry("the message could not be injected.");
+        return;
+      }
+
+      waitFor(function () {
+        return editorShows(editor, message);
+      }, stepTimeout(), function (shown) {
+        if (!shown) {
+          retry("the editor did not take the message.");
+          return;
+        }
+
+        // Without a recognisable send button, Enter is tried instead.
+        waitFor(function () {
+          const btn = findSendButton(true);
+          return !btn || isSendButtonEnabled(btn);
+        }, stepTimeout(), function (ready) {
+          if (!ready) {
+            retry("the send button did not become enabled.");
+            return;
+          }
+
+          triggerSend(editor);
+          confirmSent(editor);
+        });
+      });
+    }
+
+    function confirmSent(editor) {
+      waitFor(function () {
+        return countUserTurns() > turnsBefore || editorWasCleared(editor, message);
+      }, stepTimeout(), function (sent) {
+        if (sent) {
+          log("Send confirmed.");
+        } else {
+          warn("The send was triggered but Gemini did not take the message.");
+        }
+        callback(sent, true);
+      });
+    }
+
+    tryToSend();
+  }
+
+  /**
+   * Compose the final message from the quotes and user input, and send
+   * it — after showing it for review when "review before send" is on,
+   * unless `skipReview` is set (Ctrl+Enter).
+   */
+  function composeAndSend(skipReview) {
+    if (quotes.length === 0 || isSending) return;
+
+    // Read what the user typed
+    const userInput = getUserInput();
+
+    // Build the full message: citation template(s) + user's additional
+    // input, unless a template already placed it with [USER_INPUT]
+    const fullMessage = buildMessage(userInput);
+
+    log(
+      "Composing message. Quotes:", quotes.length,
+      "Message length:", fullMessage.length,
+      "User input:", redact(userInput.substring(0, 50))
+    );
+
+    if (reviewBeforeSend && !skipReview) {
+      openSendPreview(fullMessage, userInput);
+      return;
+    }
+    sendComposedMessage(fullMessage, userInput);
+  }
+
+  /**
+   * Send a composed message (see sendMessage()).  If it is never sent,
+   * the input box gets back exactly what it held before (formatting and
+   * all), the quote chips are restored and an error is shown.  If the
+   * send was triggered but not confirmed, nothing is rolled back — the
+   * message may well have been posted — and the user is asked to check.
+   */
+  function sendComposedMessage(fullMessage, userInput) {
+    // Snapshot the input before the message replaces it
+    const editorBefore = getInputEditor();
+    const savedInput = editorBefore ? editorBefore.save() : null;
+
+    // Clear the quote chip first; it is restored if sending fails
+    const sentQuotes = quotes.slice();
+    hideQuoteChip();
+
+    isSending = true;
+    sendMessage(fullMessage, function (sent, triggered) {
+      isSending = false;
+      if (sent) {
+        recordHistory(sentQuotes, userInput);
+        // The first message of a new chat creates the conversation
+        watchConversationContainer();
+        return;
+      }
+
+      if (triggered) {
+        showNotice(
+          "Gemini didn\u2019t confirm your message; it is still in the " +
+            "input box. Check the conversation before sending it again.",
+          true
+        );
+        return;
+      }
+
+      warn("Could not send the composed message; restoring the input.");
+      if (editorBefore && editorBefore.surface.isConnected) {
+        editorBefore.restore(savedInput);
+        editorBefore.placeCursor();
+      } else {
+        // The input was re-rendered; fall back to the text we read
+        const editor = getInputEditor();
+        if (editor) {
+          if (userInput) {
+            editor.write(userInput);
+          } else {
+            editor.clear();
+          }
+          editor.placeCursor();
+        }
+      }
+      quotes = sentQuotes.concat(quotes);
+      renderQuoteChips();
+      showNotice(
+        "Couldn\u2019t send your message. Your quotes and question are " +
+          "back in the input box \u2014 try sending again.",
+        true
+      );
+    });
+  }
+
+  // ── Send preview ──────────────────────────────────────────────
+  //
+  // With "review before send" on, the composed message is shown in an
+  // editable panel above the input box (in place of the chips) before it
+  // is sent.  Nothing is changed until the user sends it; cancelling
+  // leaves the quotes and the question as they were.
+
+  let previewEl = null;
+
+  /**
+   * Show the composed message for review.
+   * @param {string} fullMessage — the message composeAndSend() built.
+   * @param {string} userInput — what the user typed (restored if sending
+   *   fails).
+   */
+  function openSendPreview(fullMessage, userInput) {
+    if (previewEl) {
+      previewEl.querySelector("textarea").focus();
+      return;
+    }
+
+    previewEl = document.createElement("div");
+    previewEl.id = "ask-gemini-preview";
+    previewEl.setAttribute("role", "dialog");
+    previewEl.setAttribute("aria-label", "Review message before sending");
+
+    const header = document.createElement("div");
+    header.className = "ask-gemini-preview-header";
+    const title = document.createElement("span");
+    title.className = "ask-gemini-preview-title";
+    title.textContent = "Review before sending";
+    const hint = document.createElement("span");
+    hint.className = "ask-gemini-preview-hint";
+    hint.textContent = "Ctrl+Enter to send \u00B7 Esc to cancel";
+    header.appendChild(title);
+    header.appendChild(hint);
+
+    const textarea = document.createElement("textarea");
+    textarea.className = "ask-gemini-preview-text";
+    textarea.value = fullMessage;
+    textarea.setAttribute("aria-label", "Message to send");
+    textarea.addEventListener("keydown", function (e) {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        e.stopPropagation();
+        send();
+      }
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "ask-gemini-preview-actions";
+    const cancelBtn = document.createElement("button");
+    cancelBtn.type = "button";
+    cancelBtn.className = "ask-gemini-preview-cancel";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.addEventListener("click", function () {
+      closeSendPreview();
+      focusInput();
+    });
+    const sendBtn = document.createElement("button");
+    sendBtn.type = "button";
+    sendBtn.className = "ask-gemini-preview-send";
+    sendBtn.textContent = "Send";
+    sendBtn.addEventListener("click", send);
+    actions.appendChild(cancelBtn);
+    actions.appendChild(sendBtn);
+
+    function send() {
+      const edited = textarea.value.trim();
+      if (!edited) {
+        textarea.focus();
+        return;
+      }
+      closeSendPreview();
+      log("Sending the reviewed message.");
+      sendComposedMessage(edited, userInput);
+    }
+
+    previewEl.appendChild(header);
+    previewEl.appendChild(textarea);
+    previewEl.appendChild(actions);
+    getUIRoot().appendChild(previewEl);
+
+    // The preview shows the quotes, so the chips make way for it
+    if (chipEl) chipEl.classList.remove("ask-gemini-chip-visible");
+    positionSendPreview();
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    log("Send preview opened.");
+  }
+
+  /**
+   * Close the send preview without sending, showing the chips again.
+   */
+  function closeSendPreview() {
+    if (!previewEl) return;
+    previewEl.remove();
+    previewEl = null;
+    renderQuoteChips();
+  }
+
+  /**
+   * Position the send preview above the Gemini input area.
+   */
+  function positionSendPreview() {
+    if (!previewEl) return;
+
+    const container = findInputContainer();
+    if (!container) return;
+    watchInputLayout(container);
+
+    const rect = container.getBoundingClientRect();
+    previewEl.style.bottom = (window.innerHeight - rect.top + 4) + "px";
+    previewEl.style.left = rect.left + "px";
+    previewEl.style.width = rect.width + "px";
+  }
+
+  /**
+   * Check if a click event target is (or is inside) a send button.
+   */
+  function isSendButtonClick(target) {
+    if (!target || !(target instanceof Element)) return false;
+
+    for (const selector of pageSelectors.sendButton) {
+      try {
+        if (target.matches(selector) || target.closest(selector)) return true;
+      } catch (e) {
+        // skip
+      }
+    }
+
+    // Heuristic: check for button with send-related aria-label
+    const btn =
+      target.tagName === "BUTTON" ? target : target.closest("button");
+    if (btn) {
+      const label = (btn.getAttribute("aria-label") || "").toLowerCase();
+      if (label.indexOf("send") !== -1 || label.indexOf("submit") !== -1) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Capture-phase handler for send-button clicks.
+   */
+  function handleSendClick(e) {
+    if (!isSendButtonClick(e.target)) return;
+    noteSend();
+    if (quotes.length === 0 || isBypassingSend) return;
+
+    log("Intercepting send button click for quote composition.");
+    e.preventDefault();
+    e.stopPropagation();
+    composeAndSend(e.ctrlKey || e.metaKey);
+  }
+
+  /**
+   * Capture-phase handler for Enter key (send shortcut).
+   */
+  function handleEnterToSend(e) {
+    if (e.key !== "Enter" || e.shiftKey) return;
+
+    // Only intercept if the input area is focused
+    const inputEl = findInputElement();
+    if (!inputEl) return;
+
+    const active = document.activeElement;
+    if (inputEl !== active && !inputEl.contains(active)) {
+      return;
+    }
+
+    noteSend();
+    if (quotes.length === 0 || isBypassingSend) return;
+
+    log("Intercepting Enter key for quote composition.");
+    e.preventDefault();
+    e.stopPropagation();
+    // Ctrl+Enter (Cmd+Enter on macOS) skips the review for this message
+    composeAndSend(e.ctrlKey || e.metaKey);
+  }
+
+  // =====================================================================
+  // Event Handlers
+  // =====================================================================
+
+  // How long a keyboard selection must stay unchanged before the bubble
+  // is shown for it, so it doesn't flicker while Shift+arrow is held.
+  const KEYBOARD_SELECTION_DELAY = 300;
+
+  // The same for touch and pen selections: long enough for the user to
+  // drag the selection handles without the bubble jumping after every
+  // step (dragging the handles fires only selectionchange).
+  const TOUCH_SELECTION_DELAY = 600;
+
+  // The kind of pointer pressed down outside our UI ("mouse", "touch" or
+  // "pen"), or null; and what was last used — one of those kinds, or
+  // "keyboard" once a key is pressed — which made the selection.
+  let activePointer = null;
+  let lastSelectionInput = "mouse";
+  let selectionChangeTimer = null;
+
+  /**
+   * Read the quotable text of a selection.
+   * Returns { text, displayText, context, rect }, or null when there is
+   * nothing to quote or the selection is outside a response.
+   */
+  function captureSelection(selection) {
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+      return null;
+    }
+
+    const text = extractTextWithMath(selection);
+    if (!text) return null;
+
+    // Check if the selection is in a valid area (response, not input)
+    if (!isValidSelectionArea(selection)) {
+      log("Selection is not in a valid area.");
+      return null;
+    }
+
+    const range = selection.getRangeAt(0);
+    return {
+      text: text,
+      // Also capture the plain visual text (without LaTeX) for chip display
+      displayText: selection.toString().trim() || text,
+      // And where it came from, for the template placeholders and for
+      // jumping back to the passage from the chip
+      context: Object.assign(getSelectionContext(range), {
+        anchor: createTextAnchor(range),
+      }),
+      range: range,
+      // A selection across several turns is quoted one part per turn
+      parts: captureTurnParts(range),
+    };
+  }
+
+  /**
+   * Capture each turn's part of a range that spans several turns, in the
+   * same shape as captureSelection().  Returns null for a range within
+   * one turn.
+   */
+  function captureTurnParts(range) {
+    const ranges = splitRangeByTurn(range);
+    if (!ranges) return null;
+
+    const parts = ranges.map(captureRange).filter(Boolean);
+    return parts.length > 1 ? parts : null;
+  }
+
+  /**
+   * Capture the quotable text of a range that isn't the page's selection
+   * (part of a selection, a whole response or code block), like
+   * captureSelection() does for the selection.  Returns null when it has
+   * no text.
+   */
+  function captureRange(range) {
+    // extractTextWithMath() only needs these of a Selection
+    const text = extractTextWithMath({
+      rangeCount: 1,
+      getRangeAt: function () { return range; },
+      toString: function () { return range.toString(); },
+    });
+    if (!text) return null;
+    return {
+      text: text,
+      displayText: range.toString().trim() || text,
+      context: Object.assign(getSelectionContext(range), {
+        anchor: createTextAnchor(range),
+      }),
+    };
+  }
+
+  /**
+   * Show the bubble for the current selection, or hide it when there is
+   * nothing to quote.
+   */
+  function updateBubbleFromSelection() {
+    const captured = captureSelection(window.getSelection());
+
+    if (!captured) {
+      hideBubble();
+      currentSelectedText = "";
+      currentDisplayText = "";
+      currentContext = null;
+      currentParts = null;
+      return;
+    }
+
+    currentSelectedText = captured.text;
+    currentDisplayText = captured.displayText;
+    currentContext = captured.context;
+    currentParts = captured.parts;
+    log("Valid text selected:", redact(captured.text.substring(0, 80) + "..."));
+
+    showBubble(captured.range);
+  }
+
+  /**
+   * Quote the current selection straight into the chip, without going
+   * through the bubble (keyboard shortcut and context menu).
+   * @param {string} [templateId] — the template to quote with.
+   * @param {string} [fallbackText] — the selection as the browser's
+   *   context menu saw it; quoted as plain text if the page no longer has
+   *   a selection (e.g. Gemini cleared it when the menu opened).
+   */
+  function quoteCurrentSelection(templateId, fallbackText) {
+    const selection = window.getSelection();
+    const captured = captureSelection(selection);
+
+    if (captured) {
+      currentSelectedText = captured.text;
+      currentDisplayText = captured.displayText;
+      currentContext = captured.context;
+      currentParts = captured.parts;
+    } else if (fallbackText && fallbackText.trim() && (!selection || selection.isCollapsed)) {
+      log("Selection is gone; quoting the context menu's selection text.");
+      currentSelectedText = fallbackText.trim();
+      currentDisplayText = currentSelectedText;
+      currentContext = null;
+      currentParts = null;
+    } else {
+      warn("Quote requested without a valid selection.");
+      return;
+    }
+
+    handleBubbleClick(templateId);
+  }
+
+  /**
+   * Whether the current selection was made with a finger or a stylus.
+   */
+  function isTouchInput() {
+    return lastSelectionInput === "touch" || lastSelectionInput === "pen";
+  }
+
+  /**
+   * Show (or hide) the bubble for the selection once it has stayed
+   * unchanged for `delay` ms, unless a pointer is pressed down by then.
+   */
+  function scheduleSelectionCheck(delay) {
+    clearTimeout(selectionChangeTimer);
+    selectionChangeTimer = setTimeout(function () {
+      if (!activePointer) updateBubbleFromSelection();
+    }, delay);
+  }
+
+  /**
+   * Handle pointerup: check if there's a valid text selection and show
+   * the bubble.
+   */
+  function handlePointerUp(e) {
+    if (!e.isPrimary) return;
+    activePointer = null;
+
+    // Ignore if the click is on the bubble or its template menu
+    if (isBubbleUI(getEventTarget(e))) {
+      return;
+    }
+
+    // Small delay to let the browser finalize the selection; touch and
+    // pen selections wait until their selection handles settle
+    if (e.pointerType === "mouse") {
+      setTimeout(updateBubbleFromSelection, 10);
+    } else {
+      scheduleSelectionCheck(TOUCH_SELECTION_DELAY);
+    }
+  }
+
+  /**
+   * Handle pointercancel: the browser took over the pointer, as it does
+   * when a long press starts a touch selection.  The selection is picked
+   * up once it settles.
+   */
+  function handlePointerCancel(e) {
+    if (!e.isPrimary) return;
+    activePointer = null;
+    scheduleSelectionCheck(TOUCH_SELECTION_DELAY);
+  }
+
+  /**
+   * Handle selectionchange: pick up selections made with the keyboard
+   * (Shift+arrows, Ctrl+A, caret browsing ...) and with touch selection
+   * handles.  Selections made by dragging a mouse or pen are left to
+   * handlePointerUp.
+   */
+  function handleSelectionChange() {
+    if (activePointer) return;
+    scheduleSelectionCheck(isTouchInput() ? TOUCH_SELECTION_DELAY : KEYBOARD_SELECTION_DELAY);
+  }
+
+  /**
+   * Handle pointerdown: hide the bubble (and the template menu) if
+   * pressing outside of them.
+   */
+  function handlePointerDown(e) {
+    if (!e.isPrimary) return;
+    const target = getEventTarget(e);
+    if (isBubbleUI(target)) return;
+    closeNoteEditor(true);
+    activePointer = e.pointerType || "mouse";
+    lastSelectionInput = activePointer;
+    hideBubble();
+    if (templateMenuEl && templateMenuAnchor && !templateMenuAnchor.contains(target)) {
+      hideTemplateMenu();
+    }
+  }
+
+  /**
+   * Handle scroll: keep the bubble next to the selection (the
+   * conversation panel may scroll independently of the page).
+   */
+  function handleScroll() {
+    trackBubble();
+  }
+
+  // Keys that only modify others; pressing one alone changes nothing.
+  const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "AltGraph", "CapsLock"];
+
+  /**
+   * Handle keydown: note that the keyboard is in use, and hide the bubble
+   * and quote chip on Escape key.
+   */
+  function handleKeyDown(e) {
+    // A selection changed from now on (Shift+arrows, Ctrl+A ...) is a
+    // keyboard selection, even if a finger made the previous one
+    if (!MODIFIER_KEYS.includes(e.key)) lastSelectionInput = "keyboard";
+
+    if (e.key === "Escape" && previewEl) {
+      // Cancel just the review; the quotes and question stay as they were
+      closeSendPreview();
+      focusInput();
+      e.stopPropagation();
+      return;
+    }
+    if (e.key === "Escape" && noteEditorEl) {
+      // Close just the note field; the highlight itself is kept
+      closeNoteEditor(false);
+      e.stopPropagation();
+      return;
+    }
+    if (e.key === "Escape" && templateMenuAnchor) {
+      // Close just the template menu, keeping the bubble and chips
+      const anchor = templateMenuAnchor;
+      const hadFocus = templateMenuEl.contains(getActiveElement());
+      hideTemplateMenu();
+      if (hadFocus) anchor.focus();
+      e.stopPropagation();
+      return;
+    }
+    if (e.key === "Escape") {
+      hideBubble();
+      hideQuoteChip();
+      window.getSelection().removeAllRanges();
+      currentSelectedText = "";
+    }
+  }
+
+  /**
+   * Handle a message from the background service worker.
+   */
+  function handleExtensionMessage(message, sender, sendResponse) {
+    if (!message) return;
+
+    switch (message.type) {
+      case "quote-selection":
+        quoteCurrentSelection(message.templateId, message.selectionText);
+        break;
+      case "pending-quotes":
+        attachPendingQuotes(message.quotes);
+        sendResponse(true);
+        break;
+      case "attach-quote":
+        attachHistoryQuote(message.quote);
+        break;
+      case "self-test":
+        sendResponse(runSelectorSelfTest(message.selectors));
+        break;
+      case "get-diagnostics":
+        sendResponse(getDiagnostics());
+        break;
+      default:
+        warn("Unknown message:", message && message.type);
+    }
+  }
+
+  // =====================================================================
+  // Settings (chrome.storage)
+  // =====================================================================
+
+  /**
+   * Load the user's template library from chrome.storage.sync.
+   * Falls back to the built-in templates if nothing is stored.
+   */
+  function loadTemplates() {
+    if (typeof chrome === "undefined" || !chrome.storage) {
+      log("chrome.storage not available; using default templates.");
+      return;
+    }
+    chrome.storage.sync.get(AskGeminiTemplates.STORAGE_DEFAULTS, function (items) {
+      setTemplates(AskGeminiTemplates.normalizeTemplates(items));
+      log("Loaded", templates.length, "template(s) from storage:", redact(templates));
+    });
+  }
+
+  /**
+   * Replace the template library and refresh any visible chips so they
+   * show the new template names.
+   */
+  function setTemplates(list) {
+    templates = list;
+    hideTemplateMenu();
+    if (quotes.length > 0) renderQuoteChips();
+  }
+
+  /**
+   * Load the remaining settings from chrome.storage.sync.
+   */
+  function loadSettings() {
+    if (typeof chrome === "undefined" || !chrome.storage) {
+      log("chrome.storage not available; using default settings.");
+      return;
+    }
+    chrome.storage.sync.get(SETTINGS_DEFAULTS, function (items) {
+      applySettings(items);
+      log("Loaded settings from storage:", items);
+    });
+  }
+
+  /**
+   * Load the page selector profile from chrome.storage.sync.
+   */
+  function loadSelectorProfile() {
+    if (typeof chrome === "undefined" || !chrome.storage) return;
+    chrome.storage.sync.get(AskGeminiSelectors.STORAGE_DEFAULTS, function (items) {
+      applySelectors(AskGeminiSelectors.resolveSelectors(items));
+    });
   }
 
   /**
-   * Hide the bubble.
+   * Switch to the given selector lists (see selectors.js).
    */
-  function hideBubble() {
-    if (bubbleEl) {
-      bubbleEl.classList.remove("ask-gemini-bubble-visible");
-      log("Bubble hidden.");
-    }
+  function applySelectors(selectors) {
+    pageSelectors = selectors;
+    log("Selectors in use:", selectors);
+    // The conversation container may be found by other selectors now
+    if (containerObserver) watchConversationContainer();
   }
 
   /**
-   * Handle the bubble click: show quote chip and focus input.
+   * Check which selectors match the page right now (popup self-test).
+   * Tests the given lists (e.g. unsaved edits), or the ones in use.
+   * Returns { category: [{ selector, valid, count }] }, plus the selector
+   * that actually wins for the input box and the send button.
    */
-  function handleBubbleClick() {
-    log("Bubble clicked. Selected text:", currentSelectedText);
+  function runSelectorSelfTest(selectors) {
+    const lists = selectors || pageSelectors;
+    const report = { url: redactUrl(location.href), results: {}, used: {} };
+
+    Object.keys(AskGeminiSelectors.CATEGORIES).forEach(function (category) {
+      report.results[category] = (lists[category] || []).map(function (selector) {
+        let count = 0;
+        let valid = true;
+        try {
+          count = document.querySelectorAll(selector).length;
+        } catch (e) {
+          valid = false;
+        }
+        return { selector: selector, valid: valid, count: count };
+      });
+    });
 
-    if (!currentSelectedText) {
-      warn("No text selected.");
-      hideBubble();
-      return;
-    }
+    ["input", "sendButton"].forEach(function (category) {
+      const first = report.results[category].find(function (result) {
+        return result.count > 0;
+      });
+      report.used[category] = first ? first.selector : null;
+    });
 
-    // Show the quote chip instead of injecting text directly
-    showQuoteChip(currentSelectedText, currentDisplayText);
+    log("Selector self-test:", report);
+    return report;
+  }
 
-    // Clear selection and hide bubble
-    window.getSelection().removeAllRanges();
-    hideBubble();
-    currentSelectedText = "";
-    currentDisplayText = "";
+  /**
+   * Collect what the popup's "Export Diagnostics" needs from this tab:
+   * the buffered log (with the user's content redacted), the settings and
+   * which selectors match the page.  The address is cut down to the kind
+   * of page (see redactUrl()).
+   */
+  function getDiagnostics() {
+    const editor = getInputEditor();
+    return {
+      url: redactUrl(location.href),
+      settings: {
+        outputFormat: outputFormat,
+        tableFormat: tableFormat,
+        reviewBeforeSend: reviewBeforeSend,
+        historyLimit: historyLimit,
+        debugMode: debugMode,
+        templates: templates.length,
+      },
+      selectors: runSelectorSelfTest(),
+      editor: editor ? editor.name : null,
+      log: logBuffer.slice(),
+    };
+  }
 
-    // Focus the input area AFTER clearing selection and hiding the bubble,
-    // with a short delay so Gemini's framework doesn't steal focus back.
-    setTimeout(function () {
-      const inputEl = findInputElement();
-      if (inputEl) {
-        inputEl.focus();
-        placeCursorAtEnd(inputEl);
-        log("Input focused after bubble click.");
-      }
-    }, 100);
+  /**
+   * Apply settings values (all of them, or just the changed ones).
+   */
+  function applySettings(items) {
+    if (items.outputFormat !== undefined) {
+      outputFormat = items.outputFormat === "plain" ? "plain" : "markdown";
+    }
+    if (items.tableFormat !== undefined) {
+      tableFormat = TABLE_FORMATS.indexOf(items.tableFormat) !== -1
+        ? items.tableFormat
+        : SETTINGS_DEFAULTS.tableFormat;
+    }
+    if (items.reviewBeforeSend !== undefined) {
+      reviewBeforeSend = items.reviewBeforeSend === true;
+    }
+    if (items.historyLimit !== undefined) {
+      historyLimit = AskGeminiHistory.normalizeLimit(items.historyLimit);
+    }
+    if (items.debugMode !== undefined) {
+      debugMode = items.debugMode === true;
+    }
   }
 
   // =====================================================================
-  // Quote Chip UI
+  // Quote Actions
   // =====================================================================
+  //
+  // A "Quote" button in the action bar under each of Gemini's responses
+  // and in the header of each code block attaches the whole response or
+  // code block as a quote, through the same math, table and code
+  // extraction as a selection.  Each button is an <ask-gemini-action>
+  // element with its own closed shadow root: Gemini's styles don't reach
+  // it, and its label isn't part of the page's text, so neither Gemini's
+  // copy buttons nor our own extraction pick it up.  Quoting goes
+  // straight to the chip, so the excluded areas (which only apply to
+  // selections) don't get in the way.
+  //
+  // Buttons are added to the turns in the page whenever the conversation
+  // updates — including while a response streams in, and when Gemini
+  // re-renders a turn in place (regenerating it, or switching drafts) and
+  // drops the buttons along with its own.  The buttons share one small
+  // stylesheet (AskGeminiStyles.ACTION_CSS).
+
+  const ACTION_HOST_TAG = "ask-gemini-action";
+
+  function findFirstIn(el, selectors) {
+    for (let i = 0; i < selectors.length; i++) {
+      try {
+        const match = el.querySelector(selectors[i]);
+        if (match) return match;
+      } catch (e) {
+        // Invalid selector, skip
+      }
+    }
+    return null;
+  }
+
+  function hasActionButton(el) {
+    return !!el.querySelector(":scope > " + ACTION_HOST_TAG);
+  }
 
   /**
-   * Create the quote chip element (once).
+   * Create a Quote button for Gemini's page.  `title` also serves as its
+   * accessible name.
    */
-  function createQuoteChip() {
-    if (chipEl) return chipEl;
+  function createActionButton(title, onClick) {
+    const host = document.createElement(ACTION_HOST_TAG);
+    const root = host.attachShadow({ mode: "closed" });
+    adoptStyles(root, AskGeminiStyles.ACTION_CSS);
 
-    chipEl = document.createElement("div");
-    chipEl.id = "ask-gemini-quote-chip";
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "ask-gemini-action-button";
+    button.title = title;
+    button.setAttribute("aria-label", title);
 
-    const quoteIcon = document.createElement("span");
-    quoteIcon.className = "ask-gemini-chip-quote-icon";
-    quoteIcon.textContent = "\u275D"; // ❝
+    const icon = document.createElement("span");
+    icon.className = "ask-gemini-action-icon";
+    icon.setAttribute("aria-hidden", "true");
+    icon.textContent = "\u275D"; // ❝
 
-    const textContainer = document.createElement("span");
-    textContainer.className = "ask-gemini-chip-text";
+    const label = document.createElement("span");
+    label.textContent = "Quote";
 
-    const closeBtn = document.createElement("button");
-    closeBtn.className = "ask-gemini-chip-close";
-    closeBtn.innerHTML = "&#10005;"; // ✕
-    closeBtn.setAttribute("aria-label", "Remove quote");
-    closeBtn.addEventListener("click", function (e) {
+    button.appendChild(icon);
+    button.appendChild(label);
+    // Keep the click to ourselves; the response's own handlers stay out
+    button.addEventListener("click", function (e) {
       e.preventDefault();
       e.stopPropagation();
-      hideQuoteChip();
-    });
-
-    chipEl.appendChild(quoteIcon);
-    chipEl.appendChild(textContainer);
-    chipEl.appendChild(closeBtn);
-
-    // Prevent mousedown from stealing focus from the input
-    chipEl.addEventListener("mousedown", function (e) {
-      e.preventDefault();
+      onClick();
     });
 
-    document.body.appendChild(chipEl);
-    log("Quote chip element created.");
-    return chipEl;
+    root.appendChild(button);
+    return host;
   }
 
   /**
-   * Show the quote chip with the given selected text.
-   * @param {string} text — the raw text (with LaTeX) for the message.
-   * @param {string} [visibleText] — the human-readable display text (without LaTeX markup).
+   * Attach the whole content of an element as a quote.
+   * @param {Element} el
+   * @param {string} what — what is quoted, for the log.
    */
-  function showQuoteChip(text, visibleText) {
-    quotedText = text;
-    quotedDisplayText = visibleText || text;
-    const chip = createQuoteChip();
-
-    // Use the visual/readable text for the chip display
-    var raw = quotedDisplayText;
-    // Truncate long text for display
-    var preview = raw.length > 120 ? raw.substring(0, 120) + "\u2026" : raw;
-    // Replace newlines with spaces for single-line display
-    preview = preview.replace(/\n/g, " ");
-    chip.querySelector(".ask-gemini-chip-text").textContent = preview;
+  function quoteElement(el, what) {
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    const captured = captureRange(range);
+    if (!captured) {
+      warn("Nothing to quote in the " + what + ".");
+      return;
+    }
 
-    // Position and show after a frame so dimensions are available
-    requestAnimationFrame(function () {
-      positionChip();
-      chip.classList.add("ask-gemini-chip-visible");
-    });
-    log("Quote chip shown.");
+    hideBubble();
+    showQuoteChip(captured.text, captured.displayText, null, captured.context);
+    log("Quoted the whole " + what + ".");
+    focusInput();
   }
 
   /**
-   * Hide and reset the quote chip.
+   * Add the Quote buttons a response is missing: one in its action bar
+   * and one in the header of each of its code blocks.
    */
-  function hideQuoteChip() {
-    quotedText = "";
-    quotedDisplayText = "";
-    if (chipEl) {
-      chipEl.classList.remove("ask-gemini-chip-visible");
-      log("Quote chip hidden.");
+  function decorateResponse(turn) {
+    const bar = findFirstIn(turn, RESPONSE_ACTION_BAR_SELECTORS);
+    if (bar && !hasActionButton(bar)) {
+      bar.appendChild(createActionButton("Quote this response", function () {
+        quoteElement(findFirstIn(turn, RESPONSE_CONTENT_SELECTORS) || turn, "response");
+      }));
     }
+
+    turn.querySelectorAll(CODE_BLOCK_SELECTORS.join(", ")).forEach(function (block) {
+      const pre = block.querySelector("pre");
+      const place =
+        findFirstIn(block, CODE_BLOCK_ACTIONS_SELECTORS) ||
+        findFirstIn(block, CODE_BLOCK_HEADER_SELECTORS);
+      // Nested code-block matches share their header
+      if (!pre || !place || hasActionButton(place)) return;
+      place.appendChild(createActionButton("Quote this code block", function () {
+        quoteElement(pre, "code block");
+      }));
+    });
   }
 
   /**
-   * Position the quote chip above the Gemini input area.
+   * Add the Quote buttons to every response in the page (or in `root`).
    */
-  function positionChip() {
-    if (!chipEl) return;
-
-    const inputEl = findInputElement();
-    if (!inputEl) return;
-
-    // Walk up to find the visual input box container for positioning.
-    // Use INPUT-AREA-V2 (the rounded visual container) or fall back
-    // to .input-area-container / .text-input-field.
-    const container =
-      inputEl.closest("input-area-v2") ||
-      inputEl.closest(".input-area-container") ||
-      inputEl.closest(".text-input-field") ||
-      inputEl.closest(".input-area") ||
-      inputEl.closest("rich-textarea") ||
-      inputEl;
-
-    const rect = container.getBoundingClientRect();
-    const chipHeight = chipEl.offsetHeight || 36;
-
-    chipEl.style.top = (rect.top - chipHeight - 4) + "px";
-    chipEl.style.left = rect.left + "px";
-    chipEl.style.width = rect.width + "px";
+  function decorateTurns(root) {
+    getTurnElements(root).forEach(function (turn) {
+      if (getTurnRole(turn) === "model") decorateResponse(turn);
+    });
   }
 
   // =====================================================================
-  // Send Interception
+  // Navigation
   // =====================================================================
+  //
+  // Gemini is a single-page app: switching conversations changes the URL
+  // through the History API, without a page load.  The Navigation API
+  // reports those changes to content scripts too (patching
+  // history.pushState would only see calls made from the content script's
+  // own isolated world); popstate and the container watch below cover
+  // browsers without it.
+  //
+  // Features subscribe with onConversationEvent() to
+  //   "changed"  another conversation (or a new chat) was opened;
+  //              detail { url, previousKey }
+  //   "updated"  turns were added, or changed (a response streamed in,
+  //              regenerated or switched to another draft) and have
+  //              settled; detail { entries }, the children of the
+  //              conversation container holding them
+  //
+  // Only the container's direct children are watched for new turns, and
+  // each child's subtree for changes to its own turns (element changes
+  // only, not text), so a response streaming in costs no more than
+  // restarting its timer, and only that child is looked at once it
+  // settles.
+
+  // How long the conversation container must be quiet before "updated".
+  const CONVERSATION_UPDATE_DELAY = 300;
+
+  // How long a child of the container must be quiet after a change
+  // before "updated" (long enough to outlast pauses while streaming).
+  const ENTRY_SETTLE_DELAY = 800;
+
+  // How long the page is watched for the conversation container to
+  // appear after a load, a conversation change or a send, before giving
+  // up until the next one.
+  const CONTAINER_WAIT_TIMEOUT = 10000;
+
+  const conversationListeners = { changed: [], updated: [] };
+
+  let currentConversationKey = null;
+  let containerObserver = null;
+  let observedContainer = null;
+  let conversationUpdateTimer = null;
+  let containerWaitTimer = null;
+
+  // The children of the container added since the last "updated", and
+  // the watch on the subtrees of all of them with their pending timers.
+  let addedEntries = new Set();
+  let entryObserver = null;
+  let entryTimers = new Map();
 
   /**
-   * Compose the final message from the quote and user input, inject it,
-   * and trigger Gemini's send action.
+   * Subscribe to a conversation event ("changed" or "updated").
    */
-  function composeAndSend() {
-    if (!quotedText) return;
-
-    // Read what the user typed
-    const userInput = getUserInput();
-
-    // Build the full message: citation template + user's additional input
-    const citation = citationFormat.replace("[SELECTED]", quotedText);
-    const fullMessage = userInput
-      ? citation + "\n" + userInput
-      : citation.trimEnd();
-
-    log(
-      "Composing message. Citation length:", citation.length,
-      "User input:", userInput.substring(0, 50)
-    );
-
-    // Clear the quote chip first
-    hideQuoteChip();
-
-    // Inject the composed message into the input
-    const success = injectFormattedText(fullMessage);
-    if (!success) {
-      warn("Failed to inject composed message.");
-      return;
-    }
+  function onConversationEvent(type, listener) {
+    conversationListeners[type].push(listener);
+  }
 
-    // Re-trigger send after the framework processes the injection
-    isBypassingSend = true;
-    setTimeout(function () {
-      const sendBtn = findSendButton();
-      if (sendBtn) {
-        log("Re-triggering send via button click.");
-        sendBtn.click();
-      } else {
-        // Fallback: dispatch Enter key on the input
-        log("Send button not found, dispatching Enter key.");
-        const inp = findInputElement();
-        if (inp) {
-          inp.dispatchEvent(
-            new KeyboardEvent("keydown", {
-              key: "Enter",
-              code: "Enter",
-              keyCode: 13,
-              which: 13,
-              bubbles: true,
-              cancelable: true,
-            })
-          );
-        }
+  function emitConversationEvent(type, detail) {
+    conversationListeners[type].forEach(function (listener) {
+      try {
+        listener(detail);
+      } catch (e) {
+        warn("A conversation " + type + " listener failed:", e);
       }
-      setTimeout(function () {
-        isBypassingSend = false;
-      }, 300);
-    }, 200);
+    });
   }
 
   /**
-   * Check if a click event target is (or is inside) a send button.
+   * Emit "changed" if the address now points at another conversation
+   * (changes of only the query string or hash don't count).
    */
-  function isSendButtonClick(target) {
-    if (!target || !(target instanceof Element)) return false;
+  function checkConversationUrl() {
+    const key = AskGeminiHighlights.getConversationKey(location.href);
+    if (key === currentConversationKey) return;
+
+    const previousKey = currentConversationKey;
+    currentConversationKey = key;
+    log("Conversation changed:", redact(previousKey), "\u2192", redact(key));
+    emitConversationEvent("changed", { url: location.href, previousKey: previousKey });
+    watchConversationContainer();
+  }
 
-    for (const selector of SEND_BUTTON_SELECTORS) {
-      try {
-        if (target.matches(selector) || target.closest(selector)) return true;
-      } catch (e) {
-        // skip
-      }
+  function findConversationContainer() {
+    for (let i = 0; i < pageSelectors.conversation.length; i++) {
+      const el = document.querySelector(pageSelectors.conversation[i]);
+      if (el) return el;
     }
+    return null;
+  }
 
-    // Heuristic: check for button with send-related aria-label
-    const btn =
-      target.tagName === "BUTTON" ? target : target.closest("button");
-    if (btn) {
-      const label = (btn.getAttribute("aria-label") || "").toLowerCase();
-      if (label.indexOf("send") !== -1 || label.indexOf("submit") !== -1) {
-        return true;
+  /**
+   * Watch the direct children of the conversation container (and of its
+   * parent, to notice the container itself being replaced), and the
+   * subtree of each child.  Until the container exists, e.g. in a new
+   * chat, the page is watched for it to appear for CONTAINER_WAIT_TIMEOUT;
+   * after that it is only looked for again on the next conversation
+   * change or send.
+   */
+  function watchConversationContainer() {
+    const container = findConversationContainer();
+    if (container && container === observedContainer) return;
+
+    containerObserver.disconnect();
+    stopWatchingEntries();
+    clearTimeout(containerWaitTimer);
+    observedContainer = container;
+    if (container) {
+      containerObserver.observe(container, { childList: true });
+      if (container.parentElement) {
+        containerObserver.observe(container.parentElement, { childList: true });
       }
+      Array.prototype.forEach.call(container.children, watchEntry);
+      log("Watching the conversation container:", container.tagName.toLowerCase());
+    } else {
+      containerObserver.observe(document.body, { childList: true, subtree: true });
+      containerWaitTimer = setTimeout(function () {
+        if (observedContainer) return;
+        containerObserver.disconnect();
+        log("No conversation container appeared; check the Conversation selectors.");
+      }, CONTAINER_WAIT_TIMEOUT);
+      log("No conversation container yet; waiting for it to appear.");
     }
-
-    return false;
+    scheduleConversationUpdate();
   }
 
   /**
-   * Capture-phase handler for send-button clicks.
+   * Watch a child of the conversation container for changes to its turns,
+   * and count it as added for the next "updated".
    */
-  function handleSendClick(e) {
-    if (!quotedText || isBypassingSend) return;
-    if (!isSendButtonClick(e.target)) return;
+  function watchEntry(entry) {
+    entryObserver.observe(entry, { childList: true, subtree: true });
+    addedEntries.add(entry);
+  }
 
-    log("Intercepting send button click for quote composition.");
-    e.preventDefault();
-    e.stopPropagation();
-    composeAndSend();
+  function stopWatchingEntries() {
+    entryObserver.disconnect();
+    entryTimers.forEach(clearTimeout);
+    entryTimers.clear();
+    addedEntries.clear();
   }
 
   /**
-   * Capture-phase handler for Enter key (send shortcut).
+   * Check whether a mutation only added or removed our own elements (the
+   * Quote buttons), which must not count as the conversation changing.
    */
-  function handleEnterToSend(e) {
-    if (!quotedText || isBypassingSend) return;
-    if (e.key !== "Enter" || e.shiftKey) return;
-
-    // Only intercept if the input area is focused
-    const inputEl = findInputElement();
-    if (!inputEl) return;
-
-    const active = document.activeElement;
-    if (inputEl !== active && !inputEl.contains(active)) {
-      return;
-    }
-
-    log("Intercepting Enter key for quote composition.");
-    e.preventDefault();
-    e.stopPropagation();
-    composeAndSend();
+  function isOwnMutation(record) {
+    if (record.type !== "childList") return false;
+    const nodes = Array.prototype.slice.call(record.addedNodes)
+      .concat(Array.prototype.slice.call(record.removedNodes));
+    return nodes.length > 0 && nodes.every(function (node) {
+      return node.nodeType === Node.ELEMENT_NODE &&
+        node.tagName.toLowerCase() === ACTION_HOST_TAG;
+    });
   }
 
-  // =====================================================================
-  // Event Handlers
-  // =====================================================================
-
-  /**
-   * Handle mouseup: check if there's a valid text selection and show the bubble.
-   */
-  function handleMouseUp(e) {
-    // Ignore if the click is on the bubble itself
-    if (bubbleEl && bubbleEl.contains(e.target)) {
+  function handleContainerMutations(records) {
+    if (!observedContainer || !observedContainer.isConnected) {
+      if (findConversationContainer()) watchConversationContainer();
       return;
     }
-
-    // Small delay to let the browser finalize the selection
-    setTimeout(function () {
-      const selection = window.getSelection();
-      const text = selection ? extractTextWithMath(selection) : "";
-
-      if (!text) {
-        hideBubble();
-        currentSelectedText = "";
-        currentDisplayText = "";
-        return;
-      }
-
-      // Check if the selection is in a valid area (response, not input)
-      if (!isValidSelectionArea(selection)) {
-        log("Selection is not in a valid area.");
-        hideBubble();
-        currentSelectedText = "";
-        currentDisplayText = "";
-        return;
-      }
-
-      currentSelectedText = text;
-      // Also capture the plain visual text (without LaTeX) for chip display
-      currentDisplayText = selection ? selection.toString().trim() : text;
-      log("Valid text selected:", text.substring(0, 80) + "...");
-
-      // Get the bounding rect of the selection
-      const range = selection.getRangeAt(0);
-      const rect = range.getBoundingClientRect();
-
-      showBubble(rect);
-    }, 10);
+    records.forEach(function (record) {
+      if (record.target !== observedContainer) return;
+      record.addedNodes.forEach(function (node) {
+        if (node.nodeType === Node.ELEMENT_NODE) watchEntry(node);
+      });
+    });
+    scheduleConversationUpdate();
   }
 
   /**
-   * Handle mousedown: hide the bubble if clicking outside of it.
+   * Find the child of the conversation container a node is in.
    */
-  function handleMouseDown(e) {
-    if (bubbleEl && !bubbleEl.contains(e.target)) {
-      hideBubble();
-    }
+  function findEntry(node) {
+    let el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    while (el && el.parentElement !== observedContainer) el = el.parentElement;
+    return el;
   }
 
   /**
-   * Handle scroll: hide the bubble to avoid mispositioned overlays.
+   * Restart the timer of each child of the container whose turns changed;
+   * "updated" is emitted for it once it has been quiet for
+   * ENTRY_SETTLE_DELAY.
    */
-  function handleScroll() {
-    hideBubble();
+  function handleEntryMutations(records) {
+    const changed = new Set();
+    records.forEach(function (record) {
+      if (isOwnMutation(record)) return;
+      const entry = findEntry(record.target);
+      if (entry) changed.add(entry);
+    });
+
+    changed.forEach(function (entry) {
+      clearTimeout(entryTimers.get(entry));
+      entryTimers.set(entry, setTimeout(function () {
+        entryTimers.delete(entry);
+        if (entry.parentElement !== observedContainer) return;
+        emitConversationEvent("updated", { entries: [entry] });
+      }, ENTRY_SETTLE_DELAY));
+    });
   }
 
   /**
-   * Handle keydown: hide the bubble and quote chip on Escape key.
+   * Emit "updated" for the children added to the container, once it has
+   * been quiet for CONVERSATION_UPDATE_DELAY.
    */
-  function handleKeyDown(e) {
-    if (e.key === "Escape") {
-      hideBubble();
-      hideQuoteChip();
-      window.getSelection().removeAllRanges();
-      currentSelectedText = "";
-    }
+  function scheduleConversationUpdate() {
+    clearTimeout(conversationUpdateTimer);
+    conversationUpdateTimer = setTimeout(function () {
+      conversationUpdateTimer = null;
+      // Without the Navigation API, a re-rendered conversation is also
+      // the cue to look at the address.
+      checkConversationUrl();
+
+      const entries = Array.from(addedEntries).filter(function (entry) {
+        return entry.parentElement === observedContainer;
+      });
+      addedEntries.clear();
+      if (entries.length > 0) emitConversationEvent("updated", { entries: entries });
+    }, CONVERSATION_UPDATE_DELAY);
   }
 
-  // =====================================================================
-  // Settings (chrome.storage)
-  // =====================================================================
-
   /**
-   * Load the user's citation format from chrome.storage.sync.
-   * Falls back to DEFAULT_CITATION_FORMAT if nothing is stored.
+   * Start emitting conversation events.
    */
-  function loadCitationFormat() {
-    if (typeof chrome === "undefined" || !chrome.storage) {
-      log("chrome.storage not available; using default citation format.");
-      return;
+  function startNavigationWatch() {
+    currentConversationKey = AskGeminiHighlights.getConversationKey(location.href);
+    containerObserver = new MutationObserver(handleContainerMutations);
+    entryObserver = new MutationObserver(handleEntryMutations);
+
+    if (window.navigation && typeof window.navigation.addEventListener === "function") {
+      window.navigation.addEventListener("currententrychange", checkConversationUrl);
     }
-    chrome.storage.sync.get({ citationFormat: DEFAULT_CITATION_FORMAT }, function (items) {
-      citationFormat = items.citationFormat || DEFAULT_CITATION_FORMAT;
-      log("Loaded citation format from storage:", citationFormat);
-    });
+    window.addEventListener("popstate", checkConversationUrl);
+
+    watchConversationContainer();
   }
 
   // =====================================================================
@@ -1308,115 +4864,132 @@
   // =====================================================================
 
   function init() {
-    // Load citation format from chrome.storage.sync
-    loadCitationFormat();
+    // Load the template library, settings and page selectors from
+    // chrome.storage.sync
+    loadTemplates();
+    loadSettings();
+    loadSelectorProfile();
+
+    // Restore the quotes left attached in this conversation (before any
+    // new quote is attached, so they are merged rather than overwritten)
+    restoreDraft();
 
-    // Listen for changes (e.g., user updates the format from the popup)
+    // Listen for changes (e.g., user edits the templates from the popup)
     if (typeof chrome !== "undefined" && chrome.storage) {
       chrome.storage.onChanged.addListener(function (changes, area) {
-        if (area === "sync" && changes.citationFormat) {
-          citationFormat =
-            changes.citationFormat.newValue || DEFAULT_CITATION_FORMAT;
-          log("Citation format updated from storage:", citationFormat);
+        if (area === "local") {
+          if (changes[AskGeminiHighlights.STORAGE_KEY]) loadConversationHighlights();
+          return;
+        }
+        if (area !== "sync") return;
+
+        if (changes.selectorProfile) {
+          applySelectors(AskGeminiSelectors.resolveSelectors({
+            selectorProfile: changes.selectorProfile.newValue,
+          }));
+        }
+
+        if (changes.templates || changes.citationFormat) {
+          loadTemplates();
+          log("Templates changed in storage, reloading.");
+        }
+
+        const changedSettings = {};
+        Object.keys(SETTINGS_DEFAULTS).forEach(function (key) {
+          if (changes[key]) {
+            changedSettings[key] = changes[key].newValue === undefined
+              ? SETTINGS_DEFAULTS[key]
+              : changes[key].newValue;
+          }
+        });
+        if (Object.keys(changedSettings).length > 0) {
+          applySettings(changedSettings);
+          log("Settings updated from storage:", changedSettings);
         }
       });
     }
 
     // Register event listeners
-    document.addEventListener("mouseup", handleMouseUp, true);
-    document.addEventListener("mousedown", handleMouseDown, true);
+    document.addEventListener("pointerup", handlePointerUp, true);
+    document.addEventListener("pointerdown", handlePointerDown, true);
+    document.addEventListener("pointercancel", handlePointerCancel, true);
     document.addEventListener("keydown", handleKeyDown, true);
+    document.addEventListener("selectionchange", handleSelectionChange);
+
+    // A pointer released outside the window never sends pointerup
+    window.addEventListener("blur", function () {
+      activePointer = null;
+    });
+
+    // Keyboard shortcut and context menu, forwarded by the background
+    // service worker
+    if (typeof chrome !== "undefined" && chrome.runtime && chrome.runtime.onMessage) {
+      chrome.runtime.onMessage.addListener(handleExtensionMessage);
+    }
+
+    // Quotes taken on other websites that were meant for this tab before
+    // it was ready
+    claimPendingQuotes();
 
     // Send interception (capture phase to fire before Gemini's handlers)
     document.addEventListener("click", handleSendClick, true);
     document.addEventListener("keydown", handleEnterToSend, true);
 
-    // Hide bubble on scroll (the conversation panel may scroll independently)
-    // Use capture phase to catch scroll events on any scrollable container
+    // Follow the selection with the bubble on scroll.  Use capture phase
+    // to catch scroll events on any scrollable container
     document.addEventListener("scroll", handleScroll, true);
 
-    // Reposition quote chip on window resize
+    // Reposition the bubble, quote chip and send preview on window resize
     window.addEventListener("resize", function () {
-      if (quotedText) positionChip();
+      trackBubble();
+      if (quotes.length > 0) positionChip();
+      positionSendPreview();
     });
 
-    // ── Clear quote chip when the user switches conversations ──
-    // Gemini is a SPA — navigation may happen via pushState, replaceState,
-    // or internal framework routing.  We use two complementary strategies:
-    //
-    //   1. Poll location.href every 500 ms to catch any URL change.
-    //   2. Observe the main content area with a MutationObserver so we
-    //      catch large-scale DOM swaps (e.g. the conversation container
-    //      being replaced) even if the URL hasn't changed yet.
-
-    var lastUrl = location.href;
-
-    function onConversationChange() {
-      log("Conversation change detected — clearing quote chip.");
-      hideQuoteChip();
+    // ── Conversation switches and updates (see Navigation) ──
+    // Park the quote draft of the conversation being left and restore the
+    // one of the conversation opened; reload its highlights.
+    onConversationEvent("changed", function (detail) {
+      const isSameChat = isNewChatSaved(detail.previousKey);
+      sentFromKey = null;
+      closeSendPreview();
       hideBubble();
+      closeNoteEditor(true);
       currentSelectedText = "";
       currentDisplayText = "";
-    }
-
-    // Strategy 1 — URL polling
-    setInterval(function () {
-      var newUrl = location.href;
-      if (newUrl !== lastUrl) {
-        lastUrl = newUrl;
-        onConversationChange();
-      }
-    }, 500);
-
-    // Also catch browser back/forward
-    window.addEventListener("popstate", function () {
-      // Delay slightly so location.href is updated
-      setTimeout(function () {
-        var newUrl = location.href;
-        if (newUrl !== lastUrl) {
-          lastUrl = newUrl;
-          onConversationChange();
-        }
-      }, 50);
-    });
-
-    // Strategy 2 — MutationObserver on the conversation container
-    // Watch for childList changes on a high-level container that gets
-    // replaced when the user picks a different conversation.
-    var conversationObserver = new MutationObserver(function (mutations) {
-      if (!quotedText) return; // nothing to clear
-
-      for (var i = 0; i < mutations.length; i++) {
-        var m = mutations[i];
-        if (m.removedNodes.length > 0) {
-          // A large subtree was removed — likely a conversation switch
-          for (var j = 0; j < m.removedNodes.length; j++) {
-            var node = m.removedNodes[j];
-            if (node.nodeType === Node.ELEMENT_NODE &&
-                (node.querySelectorAll && node.querySelectorAll(".model-response-text, .message-content, [data-message-author-role]").length > 0)) {
-              onConversationChange();
-              return;
-            }
-          }
-        }
+      currentContext = null;
+      currentParts = null;
+      if (isSameChat) {
+        log("New chat got its address \u2014 moving the quote draft.");
+        moveDraft(detail.previousKey);
+      } else {
+        log("Conversation change detected \u2014 parking the quote draft.");
+        parkDraft();
+        restoreDraft();
       }
     });
+    onConversationEvent("changed", loadConversationHighlights);
+
+    // Repaint the highlights and add the Quote buttons after Gemini adds
+    // or re-renders turns
+    onConversationEvent("updated", function (detail) {
+      if (savedHighlights.length > 0) paintHighlights(detail.entries);
+      detail.entries.forEach(function (entry) {
+        decorateTurns(entry);
+      });
+    });
 
-    // Start observing once the <main> or app container is available
-    function startConversationObserver() {
-      var target =
-        document.querySelector("main") ||
-        document.querySelector("[role='main']") ||
-        document.querySelector(".app-container") ||
-        document.body;
-      conversationObserver.observe(target, { childList: true, subtree: true });
-      log("Conversation observer started on:", target.tagName || "body");
-    }
-    startConversationObserver();
+    startNavigationWatch();
+
+    // Quote buttons for the turns already in the page
+    decorateTurns();
+
+    // Paint the saved highlights of the conversation we start in
+    loadConversationHighlights();
 
     log("Ask Gemini extension initialized.");
 
-    if (DEBUG) {
+    if (isDebugEnabled()) {
       // Debug helper: dump DOM info for the response and input areas
       console.groupCollapsed(
         "%c[Ask Gemini] DOM Debug Info",
@@ -1424,13 +4997,13 @@
       );
 
       console.log("Checking response selectors:");
-      RESPONSE_SELECTORS.forEach(function (sel) {
+      pageSelectors.response.forEach(function (sel) {
         const el = document.querySelector(sel);
         console.log("  " + sel + ":", el ? "FOUND" : "not found");
       });
 
       console.log("Checking input selectors:");
-      INPUT_SELECTORS.forEach(function (sel) {
+      pageSelectors.input.forEach(function (sel) {
         const el = document.querySelector(sel);
         console.log("  " + sel + ":", el ? "FOUND" : "not found");
       });
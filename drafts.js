@@ -0,0 +1,137 @@
+/*
+ * Ask Gemini — quote drafts.
+ *
+ * Shared by the content script, which saves the attached quotes of each
+ * conversation, and the background service worker, which writes them.
+ * The drafts are stored in chrome.storage.local under `quoteDrafts`:
+ *   { [conversation key]: { quotes: [...], savedAt } }
+ * (keys as for highlights, see AskGeminiHighlights.getConversationKey()).
+ *
+ * Every Gemini tab saves its drafts into the same map, so only the
+ * background service worker writes it (see handleDraftMessage()): the
+ * tabs send it their changes, which are queued one after another instead
+ * of overwriting each other.
+ */
+(function (root) {
+  "use strict";
+
+  var STORAGE_KEY = "quoteDrafts";
+
+  // Drafts not touched for this long are dropped.
+  var MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+  /**
+   * Read all drafts, keyed by conversation.
+   */
+  function loadDrafts(callback) {
+    var defaults = {};
+    defaults[STORAGE_KEY] = {};
+    chrome.storage.local.get(defaults, function (items) {
+      var drafts = items[STORAGE_KEY];
+      callback(drafts && typeof drafts === "object" ? drafts : {});
+    });
+  }
+
+  function saveDrafts(drafts, callback) {
+    var items = {};
+    items[STORAGE_KEY] = drafts;
+    chrome.storage.local.set(items, function () {
+      if (callback) callback(drafts);
+    });
+  }
+
+  // Changes are chained on this promise so that each one reads what the
+  // previous one wrote (see highlights.js, which does the same).
+  var pendingWrites = Promise.resolve();
+
+  /**
+   * Queue a change to all drafts.  `change(drafts)` edits them in place;
+   * drafts older than MAX_AGE are dropped on the way.  `callback` is
+   * called once the change is stored.
+   */
+  function changeDrafts(change, callback) {
+    pendingWrites = pendingWrites.then(function () {
+      return new Promise(function (resolve) {
+        loadDrafts(function (drafts) {
+          var now = Date.now();
+          Object.keys(drafts).forEach(function (key) {
+            if (!drafts[key] || now - drafts[key].savedAt > MAX_AGE) delete drafts[key];
+          });
+          change(drafts, now);
+          saveDrafts(drafts, function () {
+            resolve();
+            if (callback) callback(drafts);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Save the quotes attached in a conversation as its draft, or drop the
+   * draft when there are none.
+   */
+  function saveDraft(key, quotes, callback) {
+    changeDrafts(function (drafts, now) {
+      if (quotes.length > 0) {
+        drafts[key] = { quotes: quotes, savedAt: now };
+      } else {
+        delete drafts[key];
+      }
+    }, callback);
+  }
+
+  /**
+   * Move a draft to another conversation key (e.g. a new chat's, once
+   * its first message gives it its own address).  A draft already saved
+   * under the new key is kept.
+   */
+  function moveDraft(fromKey, toKey, callback) {
+    changeDrafts(function (drafts) {
+      if (!drafts[fromKey]) return;
+      if (!drafts[toKey]) drafts[toKey] = drafts[fromKey];
+      delete drafts[fromKey];
+    }, callback);
+  }
+
+  /**
+   * Carry out a draft change sent by the content script (see
+   * sendDraftChange()).  Calls back when it is stored; returns false for
+   * messages that aren't draft changes.
+   */
+  function handleDraftMessage(message, callback) {
+    switch (message && message.type) {
+      case "draft-save":
+        saveDraft(String(message.key), Array.isArray(message.quotes) ? message.quotes : [], function () {
+          callback(true);
+        });
+        return true;
+      case "draft-move":
+        moveDraft(String(message.from), String(message.to), function () {
+          callback(true);
+        });
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Ask the background service worker to change the drafts, e.g.
+   * { type: "draft-save", key, quotes }.  Calls back with true once the
+   * change is stored, or false if it couldn't be made.
+   */
+  function sendDraftChange(message, callback) {
+    chrome.runtime.sendMessage(message, function (done) {
+      if (chrome.runtime.lastError) done = false;
+      if (callback) callback(!!done);
+    });
+  }
+
+  root.AskGeminiDrafts = {
+    STORAGE_KEY: STORAGE_KEY,
+    loadDrafts: loadDrafts,
+    handleDraftMessage: handleDraftMessage,
+    sendDraftChange: sendDraftChange,
+  };
+})(globalThis);
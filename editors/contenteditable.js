@@ -0,0 +1,51 @@
+/*
+ * Ask Gemini — plain contenteditable adapter.
+ *
+ * Fallback for rich editors not handled by a more specific adapter: any
+ * contenteditable element, or the first one inside the input element
+ * (e.g. a <rich-textarea> whose editor we don't recognise).
+ */
+(function (root) {
+  "use strict";
+
+  var Editors = root.AskGeminiEditors;
+
+  var SURFACE_SELECTOR =
+    '[contenteditable="true"], [contenteditable=""], ' +
+    '[contenteditable="plaintext-only"]';
+
+  Editors.register({
+    name: "contenteditable",
+    priority: 10,
+
+    detect: function (el) {
+      if (el.isContentEditable) return el;
+      return Editors.findSurface(el, SURFACE_SELECTOR);
+    },
+
+    read: function (surface) {
+      return Editors.readStructuredText(surface);
+    },
+
+    write: function (surface, text) {
+      return Editors.writeHTML(surface, Editors.textToParagraphs(text));
+    },
+
+    placeCursor: function (surface) {
+      Editors.placeCursorAtEnd(surface);
+    },
+
+    clear: function (surface) {
+      surface.innerHTML = "";
+      Editors.dispatchInput(surface);
+    },
+
+    save: function (surface) {
+      return surface.innerHTML;
+    },
+
+    restore: function (surface, html) {
+      Editors.writeHTML(surface, html);
+    },
+  });
+})(globalThis);
@@ -0,0 +1,54 @@
+/*
+ * Ask Gemini — ProseMirror editor adapter.
+ *
+ * ProseMirror renders its document inside `.ProseMirror` and keeps an
+ * empty paragraph as <p><br class="ProseMirror-trailingBreak"></p>.  It
+ * re-reads the DOM after input events, but may revert changes made
+ * outside of it, so content is replaced through execCommand where
+ * possible (see AskGeminiEditors.writeHTML()).
+ */
+(function (root) {
+  "use strict";
+
+  var Editors = root.AskGeminiEditors;
+
+  var SURFACE_SELECTOR = ".ProseMirror";
+
+  Editors.register({
+    name: "prosemirror",
+    priority: 20,
+
+    detect: function (el) {
+      return Editors.findSurface(el, SURFACE_SELECTOR);
+    },
+
+    read: function (surface) {
+      return Editors.readStructuredText(surface);
+    },
+
+    write: function (surface, text) {
+      return Editors.writeHTML(surface, Editors.textToParagraphs(text));
+    },
+
+    placeCursor: function (surface) {
+      Editors.placeCursorAtEnd(surface);
+    },
+
+    clear: function (surface) {
+      surface.focus();
+      Editors.execCommand("selectAll");
+      if (!Editors.execCommand("delete")) {
+        surface.innerHTML = '<p><br class="ProseMirror-trailingBreak"></p>';
+        Editors.dispatchInput(surface);
+      }
+    },
+
+    save: function (surface) {
+      return surface.innerHTML;
+    },
+
+    restore: function (surface, html) {
+      Editors.writeHTML(surface, html);
+    },
+  });
+})(globalThis);
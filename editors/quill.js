@@ -0,0 +1,50 @@
+/*
+ * Ask Gemini — Quill editor adapter.
+ *
+ * Quill renders its document as <p> elements inside `.ql-editor` and
+ * keeps an empty document as a single <p><br></p> (with the `ql-blank`
+ * class on the editor).  It picks up DOM changes through its own
+ * MutationObserver, so writing paragraph HTML is enough.
+ */
+(function (root) {
+  "use strict";
+
+  var Editors = root.AskGeminiEditors;
+
+  var SURFACE_SELECTOR = ".ql-editor";
+  var EMPTY_HTML = "<p><br></p>";
+
+  Editors.register({
+    name: "quill",
+    priority: 30,
+
+    detect: function (el) {
+      return Editors.findSurface(el, SURFACE_SELECTOR);
+    },
+
+    read: function (surface) {
+      return Editors.readStructuredText(surface);
+    },
+
+    write: function (surface, text) {
+      return Editors.writeHTML(surface, Editors.textToParagraphs(text));
+    },
+
+    placeCursor: function (surface) {
+      Editors.placeCursorAtEnd(surface);
+    },
+
+    clear: function (surface) {
+      surface.innerHTML = EMPTY_HTML;
+      Editors.dispatchInput(surface);
+    },
+
+    save: function (surface) {
+      return surface.innerHTML;
+    },
+
+    restore: function (surface, html) {
+      Editors.writeHTML(surface, html);
+    },
+  });
+})(globalThis);
@@ -0,0 +1,391 @@
+/*
+ * Ask Gemini — input editor adapters.
+ *
+ * Gemini's input box has been a Quill editor, a ProseMirror editor, a
+ * plain contenteditable and a <textarea> over time, and is usually wrapped
+ * in a <rich-textarea> custom element.  Each kind of editor is handled by
+ * an adapter in its own module (editors/*.js) that registers itself here:
+ *   {
+ *     name,                    short name, shown in logs and diagnostics
+ *     priority,                adapters are tried from the highest down
+ *     detect(el),              the editable surface for the input element
+ *                                `el` (el itself, or an element inside it
+ *                                or its shadow root), or null
+ *     read(surface),           the text in the editor, one line per
+ *                                paragraph or line break (see
+ *                                readStructuredText())
+ *     write(surface, text),    replace the content with `text` (lines
+ *                                separated by "\n"); returns true on success
+ *     placeCursor(surface),    focus the editor with the cursor at the end
+ *     clear(surface),          empty the editor
+ *     save(surface),           a snapshot of the editor's exact content
+ *     restore(surface, saved), put back a snapshot taken by save()
+ *   }
+ * getEditor() picks the adapter once per input element and binds it to
+ * the surface it detected.
+ */
+(function (root) {
+  "use strict";
+
+  var Markdown = root.AskGeminiMarkdown;
+
+  var adapters = [];
+
+  // Input element -> bound editor, so detection runs once per element.
+  var editors = new WeakMap();
+
+  /**
+   * Add an adapter.  Adapters of equal priority keep registration order.
+   */
+  function register(adapter) {
+    adapters.push(adapter);
+    adapters.sort(function (a, b) {
+      return (b.priority || 0) - (a.priority || 0);
+    });
+  }
+
+  /**
+   * Return the registered adapters, highest priority first.
+   */
+  function getAdapters() {
+    return adapters.slice();
+  }
+
+  function bindEditor(adapter, element, surface) {
+    return {
+      name: adapter.name,
+      element: element,
+      surface: surface,
+      read: function () { return adapter.read(surface); },
+      write: function (text) { return adapter.write(surface, text); },
+      placeCursor: function () { adapter.placeCursor(surface); },
+      clear: function () { adapter.clear(surface); },
+      save: function () { return adapter.save(surface); },
+      restore: function (saved) { adapter.restore(surface, saved); },
+    };
+  }
+
+  /**
+   * Return the editor for an input element: the first adapter that
+   * detects an editable surface in it, bound to that surface.  Returns
+   * null when no adapter recognises the element.
+   *
+   * The choice is cached per element; it is made again only when the
+   * surface it was bound to has been replaced (the framework re-rendered
+   * the inside of the input element).
+   */
+  function getEditor(el) {
+    if (!el) return null;
+
+    var cached = editors.get(el);
+    if (cached && cached.surface.isConnected) return cached;
+
+    for (var i = 0; i < adapters.length; i++) {
+      var surface = adapters[i].detect(el);
+      if (surface) {
+        var editor = bindEditor(adapters[i], el, surface);
+        editors.set(el, editor);
+        return editor;
+      }
+    }
+    editors.delete(el);
+    return null;
+  }
+
+  // ── Helpers for adapters ──────────────────────────────────────
+
+  /**
+   * Find the element matching `selector` that makes up the surface of the
+   * input element `el`: el itself, a descendant, or a descendant in its
+   * shadow root.
+   */
+  function findSurface(el, selector) {
+    try {
+      if (el.matches(selector)) return el;
+      return (
+        el.querySelector(selector) ||
+        (el.shadowRoot && el.shadowRoot.querySelector(selector)) ||
+        null
+      );
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function escapeHTML(str) {
+    var div = document.createElement("div");
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  /**
+   * Build paragraph HTML for rich editors from plain text: one <p> per
+   * line, with <p><br></p> for blank lines.  Leading and repeated spaces
+   * become non-breaking spaces so indentation (e.g. of code) survives.
+   */
+  function textToParagraphs(text) {
+    return String(text)
+      .split("\n")
+      .map(function (line) {
+        if (line === "") return "<p><br></p>";
+        var spaced = line.replace(/^ +| {2,}/g, function (spaces) {
+          return spaces.replace(/ /g, "\u00A0");
+        });
+        return "<p>" + escapeHTML(spaced) + "</p>";
+      })
+      .join("");
+  }
+
+  // ── Reading rich editors ──────────────────────────────────────
+
+  var BLOCK_TAGS = /^(P|DIV|H[1-6]|UL|OL|LI|BLOCKQUOTE|PRE)$/;
+
+  // Inline formatting kept as Markdown markers.
+  var INLINE_MARKERS = {
+    B: "**",
+    STRONG: "**",
+    I: "*",
+    EM: "*",
+    S: "~~",
+    STRIKE: "~~",
+    DEL: "~~",
+  };
+
+  function isBlock(node) {
+    return (
+      node.nodeType === Node.ELEMENT_NODE &&
+      (BLOCK_TAGS.test(node.tagName) || node.classList.contains("ql-code-block-container"))
+    );
+  }
+
+  // Editor UI inside the document (e.g. Quill's list markers) that is
+  // not part of the text.
+  function isEditorUI(node) {
+    return (
+      node.nodeType === Node.ELEMENT_NODE &&
+      node.getAttribute("contenteditable") === "false"
+    );
+  }
+
+  /**
+   * Wrap text in a Markdown marker, keeping surrounding whitespace
+   * outside of it ("** bold **" is not bold).
+   */
+  function wrapInline(text, marker) {
+    var parts = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!parts[2]) return text;
+    return parts[1] + marker + parts[2] + marker + parts[3];
+  }
+
+  function serializeInline(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.nodeValue.replace(/\u00A0/g, " ");
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || isEditorUI(node)) return "";
+
+    // A trailing <br> only keeps an empty line open; it adds no line.
+    if (node.tagName === "BR") return node.nextSibling ? "\n" : "";
+    if (isBlock(node)) return serializeBlocks(node).join("\n");
+
+    // Inline code: its delimiter must outlast any backticks inside it
+    if (node.tagName === "CODE") {
+      var code = node.textContent.replace(/\u00A0/g, " ");
+      var parts = code.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      return parts[1] + Markdown.wrapInlineCode(parts[2]) + parts[3];
+    }
+
+    var text = "";
+    node.childNodes.forEach(function (child) {
+      text += serializeInline(child);
+    });
+
+    if (INLINE_MARKERS[node.tagName]) {
+      return wrapInline(text, INLINE_MARKERS[node.tagName]);
+    }
+    if (node.tagName === "A") {
+      var href = node.getAttribute("href");
+      if (href && href !== text) return "[" + text + "](" + href + ")";
+    }
+    return text;
+  }
+
+  function prefixLines(lines, first, rest) {
+    return lines.map(function (line, i) {
+      return (i === 0 ? first : rest) + line;
+    });
+  }
+
+  function serializeCodeBlock(el) {
+    var code;
+    var language = "";
+    if (el.tagName === "PRE") {
+      code = el.textContent;
+      language = el.getAttribute("data-language") || "";
+    } else {
+      // Quill 2: one .ql-code-block element per line
+      var rows = el.querySelectorAll(".ql-code-block");
+      code = Array.prototype.map.call(rows, function (row) {
+        return row.textContent;
+      }).join("\n");
+      language = rows.length > 0 ? rows[0].getAttribute("data-language") || "" : "";
+    }
+    if (language === "plain") language = "";
+    return Markdown.fenceCode(code.replace(/\u00A0/g, " "), language).split("\n");
+  }
+
+  function serializeList(list) {
+    var lines = [];
+    var number = 0;
+    list.childNodes.forEach(function (item) {
+      if (item.nodeType !== Node.ELEMENT_NODE || item.tagName !== "LI") return;
+      // Quill 2 keeps every list in an <ol> and marks bullets on the items.
+      var kind = item.getAttribute("data-list");
+      var ordered = kind ? kind === "ordered" : list.tagName === "OL";
+      var marker = ordered ? ++number + ". " : "- ";
+      var indentMatch = item.className.match(/ql-indent-(\d+)/);
+      var indent = indentMatch ? new Array(Number(indentMatch[1]) + 1).join("  ") : "";
+      var itemLines = serializeBlocks(item);
+      if (itemLines.length === 0) itemLines = [""];
+      var pad = new Array(marker.length + 1).join(" ");
+      lines = lines.concat(prefixLines(itemLines, indent + marker, indent + pad));
+    });
+    return lines;
+  }
+
+  function serializeBlock(el) {
+    if (el.tagName === "PRE" || el.classList.contains("ql-code-block-container")) {
+      return serializeCodeBlock(el);
+    }
+    if (el.tagName === "UL" || el.tagName === "OL") return serializeList(el);
+
+    var lines = serializeBlocks(el);
+    if (lines.length === 0) lines = [""];
+
+    if (el.tagName === "BLOCKQUOTE") return prefixLines(lines, "> ", "> ");
+    var heading = el.tagName.match(/^H([1-6])$/);
+    if (heading) {
+      return prefixLines(lines, new Array(Number(heading[1]) + 1).join("#") + " ", "");
+    }
+    return lines;
+  }
+
+  /**
+   * Serialize the children of an element into lines: one per block (or
+   * more, for lists, code and <br>s), with runs of inline content between
+   * blocks forming their own lines.
+   */
+  function serializeBlocks(el) {
+    var lines = [];
+    var inline = null;
+
+    function flush() {
+      if (inline === null) return;
+      lines = lines.concat(inline.split("\n"));
+      inline = null;
+    }
+
+    el.childNodes.forEach(function (child) {
+      if (isBlock(child) && !isEditorUI(child)) {
+        flush();
+        lines = lines.concat(serializeBlock(child));
+      } else {
+        var text = serializeInline(child);
+        // Ignore formatting whitespace between blocks
+        if (inline === null && child.nodeType === Node.TEXT_NODE && !text.trim()) return;
+        inline = (inline || "") + text;
+      }
+    });
+    flush();
+    return lines;
+  }
+
+  /**
+   * Read the text of a rich editor with its structure: paragraphs and
+   * line breaks become lines, and lists, quotes, headings, code and basic
+   * inline formatting are written as Markdown.
+   */
+  function readStructuredText(surface) {
+    return serializeBlocks(surface).join("\n");
+  }
+
+  /**
+   * Let the editor's framework know its content changed.
+   */
+  function dispatchInput(el) {
+    el.dispatchEvent(new Event("input", { bubbles: true }));
+    el.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+
+  /**
+   * Run a document.execCommand() editing command.  Returns false when it
+   * fails or isn't available (e.g. outside a browser, in jsdom).
+   */
+  function execCommand(command, value) {
+    if (typeof document.execCommand !== "function") return false;
+    try {
+      return document.execCommand(command, false, value === undefined ? null : value);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Replace the content of a contenteditable surface with paragraph HTML.
+   *
+   * We avoid execCommand("insertText") for multi-line content because
+   * many contenteditable implementations (including Gemini's) silently
+   * strip newlines and only keep the first line.  Instead, we build
+   * proper paragraph HTML and insert that.
+   */
+  function writeHTML(surface, html) {
+    surface.focus();
+
+    // Strategy 1: Use execCommand to clear + insert HTML.
+    // execCommand dispatches the right internal events for most
+    // frameworks (React, Angular, Lit, etc.).
+    execCommand("selectAll");
+    execCommand("delete");
+
+    if (!execCommand("insertHTML", html)) {
+      // Strategy 2: Directly write innerHTML and manually fire an
+      // input event so the framework detects the change.
+      surface.innerHTML = html;
+      dispatchInput(surface);
+    }
+    return true;
+  }
+
+  /**
+   * Place the cursor at the end of a contenteditable surface.
+   */
+  function placeCursorAtEnd(surface) {
+    var range = document.createRange();
+    var sel = window.getSelection();
+
+    // Focus first: focusing may move the cursor to the start
+    surface.focus();
+
+    // Try to place the cursor inside the last child element (usually
+    // the trailing empty <p><br></p>) so the user can start typing on
+    // the new line after the citation block.
+    var lastChild = surface.lastElementChild || surface.lastChild;
+    range.selectNodeContents(lastChild || surface);
+    range.collapse(false);
+
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+
+  root.AskGeminiEditors = {
+    register: register,
+    getAdapters: getAdapters,
+    getEditor: getEditor,
+    findSurface: findSurface,
+    execCommand: execCommand,
+    textToParagraphs: textToParagraphs,
+    readStructuredText: readStructuredText,
+    dispatchInput: dispatchInput,
+    writeHTML: writeHTML,
+    placeCursorAtEnd: placeCursorAtEnd,
+  };
+})(globalThis);
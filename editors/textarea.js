@@ -0,0 +1,65 @@
+/*
+ * Ask Gemini — textarea adapter.
+ *
+ * Handles a <textarea> (the input element itself or one inside it) and,
+ * as a last resort, custom input elements without an editable surface
+ * that expose a `value` property.
+ */
+(function (root) {
+  "use strict";
+
+  var Editors = root.AskGeminiEditors;
+
+  function moveCursorToEnd(surface) {
+    if (typeof surface.setSelectionRange === "function") {
+      var end = surface.value.length;
+      surface.setSelectionRange(end, end);
+    }
+  }
+
+  function setValue(surface, text) {
+    surface.value = text;
+    Editors.dispatchInput(surface);
+  }
+
+  Editors.register({
+    name: "textarea",
+    priority: 0,
+
+    detect: function (el) {
+      var textarea = Editors.findSurface(el, "textarea");
+      if (textarea) return textarea;
+      // e.g. a <rich-textarea> that keeps its text in a value property
+      if (el.tagName.indexOf("-") !== -1 && "value" in el) return el;
+      return null;
+    },
+
+    read: function (surface) {
+      return String(surface.value || "");
+    },
+
+    write: function (surface, text) {
+      surface.focus();
+      setValue(surface, text);
+      moveCursorToEnd(surface);
+      return true;
+    },
+
+    placeCursor: function (surface) {
+      surface.focus();
+      moveCursorToEnd(surface);
+    },
+
+    clear: function (surface) {
+      setValue(surface, "");
+    },
+
+    save: function (surface) {
+      return String(surface.value || "");
+    },
+
+    restore: function (surface, value) {
+      setValue(surface, value);
+    },
+  });
+})(globalThis);
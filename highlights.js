@@ -0,0 +1,156 @@
+/*
+ * Ask Gemini — saved highlights.
+ *
+ * Shared by the content script, which saves highlights from the bubble and
+ * paints them onto the responses, and the settings popup, which lists and
+ * deletes them.  Highlights are stored in chrome.storage.local under
+ * `highlights`, keyed by conversation (see getConversationKey()):
+ *   { [key]: { url, title, items: [{ id, anchor, text, note, createdAt }] } }
+ * where `anchor` locates the passage (see "Text Anchors" in content.js)
+ * and `text` is the highlighted text as shown to the user.
+ */
+(function (root) {
+  "use strict";
+
+  var STORAGE_KEY = "highlights";
+
+  /**
+   * The key a conversation's highlights are stored under: its address
+   * without query string or hash.
+   */
+  function getConversationKey(url) {
+    return String(url || "").split(/[?#]/)[0];
+  }
+
+  /**
+   * Generate a reasonably unique id for a highlight.
+   */
+  function createHighlightId() {
+    return (
+      "k" +
+      Date.now().toString(36) +
+      Math.random().toString(36).slice(2, 6)
+    );
+  }
+
+  /**
+   * Read all highlights, keyed by conversation.
+   */
+  function loadAll(callback) {
+    var defaults = {};
+    defaults[STORAGE_KEY] = {};
+    chrome.storage.local.get(defaults, function (items) {
+      var all = items[STORAGE_KEY];
+      callback(all && typeof all === "object" ? all : {});
+    });
+  }
+
+  function saveAll(all, callback) {
+    var items = {};
+    items[STORAGE_KEY] = all;
+    chrome.storage.local.set(items, function () {
+      if (callback) callback(all);
+    });
+  }
+
+  // Every change reads all highlights, changes them and writes them back.
+  // Changes are chained on this promise so that each one reads what the
+  // previous one wrote; run side by side (e.g. a highlight saved while a
+  // note is being saved), the later write would drop the earlier change.
+  var pendingWrites = Promise.resolve();
+
+  /**
+   * Queue a change to all highlights.  `change(all)` edits them in place
+   * and returns false when there is nothing to save; `callback` is called
+   * once the change is stored (or skipped).
+   */
+  function changeAll(change, callback) {
+    pendingWrites = pendingWrites.then(function () {
+      return new Promise(function (resolve) {
+        loadAll(function (all) {
+          if (change(all) === false) {
+            resolve();
+            return;
+          }
+          saveAll(all, function () {
+            resolve();
+            if (callback) callback(all);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Read the highlights of one conversation (oldest first).
+   */
+  function loadHighlights(url, callback) {
+    loadAll(function (all) {
+      var conversation = all[getConversationKey(url)];
+      callback(conversation ? conversation.items : []);
+    });
+  }
+
+  /**
+   * Save a new highlight for the conversation at `url`.  Calls back with
+   * the stored highlight.
+   */
+  function addHighlight(url, title, fields, callback) {
+    var highlight = {
+      id: createHighlightId(),
+      anchor: fields.anchor,
+      text: fields.text || fields.anchor.exact,
+      note: fields.note || "",
+      createdAt: Date.now(),
+    };
+
+    changeAll(function (all) {
+      var key = getConversationKey(url);
+      var conversation = all[key] || { url: key, title: "", items: [] };
+      conversation.title = title || conversation.title;
+      conversation.items.push(highlight);
+      all[key] = conversation;
+    }, function () {
+      if (callback) callback(highlight);
+    });
+  }
+
+  /**
+   * Change fields (e.g. the note) of a saved highlight.
+   */
+  function updateHighlight(url, id, changes, callback) {
+    changeAll(function (all) {
+      var conversation = all[getConversationKey(url)];
+      if (!conversation) return false;
+      conversation.items.forEach(function (item) {
+        if (item.id === id) Object.assign(item, changes);
+      });
+    }, callback);
+  }
+
+  /**
+   * Delete a highlight; conversations left without highlights are
+   * dropped.
+   */
+  function deleteHighlight(url, id, callback) {
+    changeAll(function (all) {
+      var key = getConversationKey(url);
+      var conversation = all[key];
+      if (!conversation) return false;
+      conversation.items = conversation.items.filter(function (item) {
+        return item.id !== id;
+      });
+      if (conversation.items.length === 0) delete all[key];
+    }, callback);
+  }
+
+  root.AskGeminiHighlights = {
+    STORAGE_KEY: STORAGE_KEY,
+    getConversationKey: getConversationKey,
+    loadAll: loadAll,
+    loadHighlights: loadHighlights,
+    addHighlight: addHighlight,
+    updateHighlight: updateHighlight,
+    deleteHighlight: deleteHighlight,
+  };
+})(globalThis);
@@ -0,0 +1,226 @@
+/*
+ * Ask Gemini — quote history.
+ *
+ * Shared by the content script, which records every quote it sends, and
+ * the settings popup, which lists, searches, re-attaches and deletes them.
+ * The history is stored in chrome.storage.local under `quoteHistory` as a
+ * list, newest first, of
+ *   { id, text, displayText, templateId, templateName, question,
+ *     conversationUrl, source, anchor, timestamp }
+ * where `source` is { url, title } for quotes taken from other websites
+ * and null otherwise, and `anchor` locates the quoted passage in its
+ * conversation (see "Text Anchors" in content.js).
+ *
+ * Only the background service worker writes the history (see
+ * handleHistoryMessage()); the content script and the popup ask it to by
+ * message, so that changes from several tabs and the popup are queued
+ * one after another instead of overwriting each other.
+ */
+(function (root) {
+  "use strict";
+
+  var STORAGE_KEY = "quoteHistory";
+
+  // Number of quotes kept by default; 0 turns the history off.
+  var DEFAULT_LIMIT = 200;
+  var LIMIT_OPTIONS = [50, 200, 1000, 0];
+
+  /**
+   * Generate a reasonably unique id for a history entry.
+   */
+  function createEntryId() {
+    return (
+      "h" +
+      Date.now().toString(36) +
+      Math.random().toString(36).slice(2, 6)
+    );
+  }
+
+  /**
+   * Build a history entry from the given fields, stamped with an id and
+   * the current time.
+   */
+  function createEntry(fields) {
+    return {
+      id: createEntryId(),
+      text: fields.text || "",
+      displayText: fields.displayText || fields.text || "",
+      templateId: fields.templateId || null,
+      templateName: fields.templateName || "",
+      question: fields.question || "",
+      conversationUrl: fields.conversationUrl || "",
+      source: fields.source || null,
+      anchor: fields.anchor || null,
+      timestamp: Date.now(),
+    };
+  }
+
+  function normalizeLimit(limit) {
+    var n = Number(limit);
+    return isFinite(n) && n >= 0 ? Math.floor(n) : DEFAULT_LIMIT;
+  }
+
+  /**
+   * Read the history (newest first).
+   */
+  function loadHistory(callback) {
+    var defaults = {};
+    defaults[STORAGE_KEY] = [];
+    chrome.storage.local.get(defaults, function (items) {
+      var list = Array.isArray(items[STORAGE_KEY]) ? items[STORAGE_KEY] : [];
+      callback(list);
+    });
+  }
+
+  function saveHistory(list, callback) {
+    var items = {};
+    items[STORAGE_KEY] = list;
+    chrome.storage.local.set(items, function () {
+      if (callback) callback(list);
+    });
+  }
+
+  // Changes are chained on this promise so that each one reads what the
+  // previous one wrote (see highlights.js, which does the same).
+  var pendingWrites = Promise.resolve();
+
+  /**
+   * Queue a change to the history.  `change(list)` returns the new list,
+   * or false when there is nothing to save; `callback` is called with the
+   * list once the change is stored (or skipped).
+   */
+  function changeHistory(change, callback) {
+    pendingWrites = pendingWrites.then(function () {
+      return new Promise(function (resolve) {
+        loadHistory(function (list) {
+          var changed = change(list);
+          if (changed === false) {
+            resolve();
+            if (callback) callback(list);
+            return;
+          }
+          saveHistory(changed, function () {
+            resolve();
+            if (callback) callback(changed);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Add entries to the front of the history, keeping at most `limit`.
+   * Does nothing when the history is turned off (limit 0).
+   */
+  function addToHistory(entries, limit, callback) {
+    limit = normalizeLimit(limit);
+    if (limit === 0 || entries.length === 0) {
+      if (callback) callback(null);
+      return;
+    }
+    changeHistory(function (list) {
+      return entries.concat(list).slice(0, limit);
+    }, callback);
+  }
+
+  /**
+   * Drop the oldest entries beyond `limit` (0 clears the history).
+   */
+  function trimHistory(limit, callback) {
+    limit = normalizeLimit(limit);
+    changeHistory(function (list) {
+      return list.length > limit ? list.slice(0, limit) : false;
+    }, callback);
+  }
+
+  /**
+   * Delete the entry with the given id.
+   */
+  function deleteFromHistory(id, callback) {
+    changeHistory(function (list) {
+      return list.filter(function (entry) {
+        return entry.id !== id;
+      });
+    }, callback);
+  }
+
+  /**
+   * Delete the whole history.
+   */
+  function clearHistory(callback) {
+    changeHistory(function () {
+      return [];
+    }, callback);
+  }
+
+  /**
+   * Carry out a history change sent by the content script or the popup
+   * (see sendHistoryChange()).  Calls back with the new list; returns
+   * false for messages that aren't history changes.
+   */
+  function handleHistoryMessage(message, callback) {
+    switch (message && message.type) {
+      case "history-add":
+        addToHistory(message.entries || [], message.limit, callback);
+        return true;
+      case "history-trim":
+        trimHistory(message.limit, callback);
+        return true;
+      case "history-delete":
+        deleteFromHistory(message.id, callback);
+        return true;
+      case "history-clear":
+        clearHistory(callback);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Ask the background service worker to change the history, e.g.
+   * { type: "history-delete", id }.  Calls back with the new list, or
+   * null if the change couldn't be made.
+   */
+  function sendHistoryChange(message, callback) {
+    chrome.runtime.sendMessage(message, function (list) {
+      if (chrome.runtime.lastError) list = null;
+      if (callback) callback(list);
+    });
+  }
+
+  /**
+   * Check whether an entry matches a search query: every word of the
+   * query must appear (case-insensitively) in its text, question,
+   * template name, conversation URL or source.
+   */
+  function matchesQuery(entry, query) {
+    var words = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+
+    var haystack = [
+      entry.displayText,
+      entry.text,
+      entry.question,
+      entry.templateName,
+      entry.conversationUrl,
+      entry.source ? entry.source.title + " " + entry.source.url : "",
+    ].join("\n").toLowerCase();
+
+    return words.every(function (word) {
+      return haystack.indexOf(word) !== -1;
+    });
+  }
+
+  root.AskGeminiHistory = {
+    STORAGE_KEY: STORAGE_KEY,
+    DEFAULT_LIMIT: DEFAULT_LIMIT,
+    LIMIT_OPTIONS: LIMIT_OPTIONS,
+    createEntry: createEntry,
+    normalizeLimit: normalizeLimit,
+    loadHistory: loadHistory,
+    handleHistoryMessage: handleHistoryMessage,
+    sendHistoryChange: sendHistoryChange,
+    matchesQuery: matchesQuery,
+  };
+})(globalThis);
@@ -0,0 +1,45 @@
+/*
+ * Ask Gemini — Markdown helpers.
+ *
+ * Writing code as Markdown, shared by the content script (quoting code
+ * from Gemini's responses) and the input editor adapters (reading the
+ * question the user typed).
+ */
+(function (root) {
+  "use strict";
+
+  function longestBacktickRun(text) {
+    var longest = 0;
+    (text.match(/`+/g) || []).forEach(function (run) {
+      if (run.length > longest) longest = run.length;
+    });
+    return longest;
+  }
+
+  /**
+   * Wrap code in a fenced Markdown block.  The fence is made longer than
+   * any backtick run inside the code so it cannot be closed early.
+   */
+  function fenceCode(code, language) {
+    var body = code.replace(/^\n+/, "").replace(/\s+$/, "");
+    var fence = "`".repeat(Math.max(3, longestBacktickRun(body) + 1));
+    return fence + (language || "") + "\n" + body + "\n" + fence;
+  }
+
+  /**
+   * Wrap an inline code span in backticks, using a longer delimiter
+   * (and padding) when the code itself contains backticks.
+   */
+  function wrapInlineCode(code) {
+    if (!code) return "";
+    var longest = longestBacktickRun(code);
+    var delimiter = "`".repeat(longest + 1);
+    var pad = longest > 0 ? " " : "";
+    return delimiter + pad + code + pad + delimiter;
+  }
+
+  root.AskGeminiMarkdown = {
+    fenceCode: fenceCode,
+    wrapInlineCode: wrapInlineCode,
+  };
+})(globalThis);
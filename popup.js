@@ -1,16 +1,48 @@
 (function () {
   "use strict";
 
-  var DEFAULT_CITATION_FORMAT =
-    "Regarding the following selected content:\n" +
-    "------\n" +
-    "[SELECTED]\n" +
-    "------\n";
+  // Settings other than the prompt library, and their defaults (see
+  // settings.js).
+  var SETTINGS_DEFAULTS = AskGeminiSettings.STORAGE_DEFAULTS;
 
+  var listEl = document.getElementById("template-list");
+  var addBtn = document.getElementById("add-btn");
+  var nameInput = document.getElementById("name-input");
   var formatInput = document.getElementById("format-input");
   var saveBtn = document.getElementById("save-btn");
+  var deleteBtn = document.getElementById("delete-btn");
   var resetBtn = document.getElementById("reset-btn");
   var statusEl = document.getElementById("status");
+  var formatErrorsEl = document.getElementById("format-errors");
+  var placeholderListEl = document.getElementById("placeholder-list");
+  var outputFormatSelect = document.getElementById("output-format-select");
+  var tableFormatSelect = document.getElementById("table-format-select");
+  var reviewBeforeSendCheckbox = document.getElementById("review-before-send-checkbox");
+  var crossSiteCheckbox = document.getElementById("cross-site-checkbox");
+  var settingsTab = document.getElementById("settings-tab");
+  var historyTab = document.getElementById("history-tab");
+  var highlightsTab = document.getElementById("highlights-tab");
+  var settingsView = document.getElementById("settings-view");
+  var historyView = document.getElementById("history-view");
+  var highlightsView = document.getElementById("highlights-view");
+  var historySearch = document.getElementById("history-search");
+  var historyListEl = document.getElementById("history-list");
+  var historyEmptyEl = document.getElementById("history-empty");
+  var historyLimitSelect = document.getElementById("history-limit-select");
+  var clearHistoryBtn = document.getElementById("clear-history-btn");
+  var highlightListEl = document.getElementById("highlight-list");
+  var highlightsEmptyEl = document.getElementById("highlights-empty");
+  var selectorEditorsEl = document.getElementById("selector-editors");
+  var selectorsResetBtn = document.getElementById("selectors-reset-btn");
+  var selectorsSaveBtn = document.getElementById("selectors-save-btn");
+  var selfTestBtn = document.getElementById("self-test-btn");
+  var selfTestResultsEl = document.getElementById("self-test-results");
+  var debugModeCheckbox = document.getElementById("debug-mode-checkbox");
+  var exportDiagnosticsBtn = document.getElementById("export-diagnostics-btn");
+
+  // The template library as last saved, and the one being edited.
+  var templates = [];
+  var selectedId = null;
 
   // ── Helpers ───────────────────────────────────────────────────
 
@@ -39,42 +71,764 @@
     }, 2000);
   }
 
-  // ── Load saved format ─────────────────────────────────────────
+  /**
+   * Validate the format in the textarea and list any problems under it.
+   * Returns true when the format can be saved.
+   */
+  function checkFormat() {
+    var errors = AskGeminiTemplates.validateTemplate(fromDisplay(formatInput.value));
+    formatErrorsEl.textContent = "";
+    errors.forEach(function (error) {
+      var item = document.createElement("li");
+      item.textContent = error.message;
+      formatErrorsEl.appendChild(item);
+    });
+    formatInput.classList.toggle("invalid", errors.length > 0);
+    return errors.length === 0;
+  }
 
-  chrome.storage.sync.get(
-    { citationFormat: DEFAULT_CITATION_FORMAT },
-    function (items) {
-      formatInput.value = toDisplay(items.citationFormat);
+  function indexOfTemplate(id) {
+    for (var i = 0; i < templates.length; i++) {
+      if (templates[i].id === id) return i;
     }
-  );
+    return -1;
+  }
+
+  /**
+   * Write the template library to chrome.storage.sync.  The legacy
+   * single `citationFormat` key is dropped once a library is saved.
+   */
+  function persist(message) {
+    chrome.storage.sync.set({ templates: templates }, function () {
+      chrome.storage.sync.remove("citationFormat");
+      if (message) showStatus(message, "success");
+    });
+  }
+
+  // ── Template list ─────────────────────────────────────────────
+
+  function createIconButton(html, label, onClick) {
+    var btn = document.createElement("button");
+    btn.className = "icon-btn";
+    btn.innerHTML = html;
+    btn.title = label;
+    btn.setAttribute("aria-label", label);
+    btn.addEventListener("click", function (e) {
+      e.stopPropagation();
+      onClick();
+    });
+    return btn;
+  }
+
+  function renderList() {
+    listEl.textContent = "";
+
+    templates.forEach(function (template, index) {
+      var item = document.createElement("li");
+      item.className =
+        "template-item" + (template.id === selectedId ? " selected" : "");
+
+      var nameBtn = document.createElement("button");
+      nameBtn.className = "template-name";
+      nameBtn.textContent = template.name;
+      nameBtn.setAttribute(
+        "aria-current",
+        template.id === selectedId ? "true" : "false"
+      );
+      nameBtn.addEventListener("click", function () {
+        selectTemplate(template.id);
+      });
+
+      var upBtn = createIconButton("&#9650;", "Move up", function () {
+        moveTemplate(index, index - 1);
+      });
+      upBtn.disabled = index === 0;
+
+      var downBtn = createIconButton("&#9660;", "Move down", function () {
+        moveTemplate(index, index + 1);
+      });
+      downBtn.disabled = index === templates.length - 1;
+
+      item.appendChild(nameBtn);
+      item.appendChild(upBtn);
+      item.appendChild(downBtn);
+      listEl.appendChild(item);
+    });
+
+    deleteBtn.disabled = templates.length <= 1;
+  }
+
+  function selectTemplate(id) {
+    var index = indexOfTemplate(id);
+    if (index === -1) index = 0;
+
+    selectedId = templates[index].id;
+    nameInput.value = templates[index].name;
+    formatInput.value = toDisplay(templates[index].format);
+    checkFormat();
+    renderList();
+  }
+
+  function moveTemplate(from, to) {
+    if (to < 0 || to >= templates.length) return;
+    var moved = templates.splice(from, 1)[0];
+    templates.splice(to, 0, moved);
+    renderList();
+    persist(to === 0 ? '"' + moved.name + '" is now the default.' : "Order saved.");
+  }
+
+  // ── Placeholder reference ─────────────────────────────────────
+
+  Object.keys(AskGeminiTemplates.PLACEHOLDERS).forEach(function (name) {
+    var term = document.createElement("dt");
+    var code = document.createElement("code");
+    code.textContent = "[" + name + "]";
+    term.appendChild(code);
+
+    var description = document.createElement("dd");
+    description.textContent = AskGeminiTemplates.PLACEHOLDERS[name];
+
+    placeholderListEl.appendChild(term);
+    placeholderListEl.appendChild(description);
+  });
+
+  // ── Load saved templates ──────────────────────────────────────
+
+  chrome.storage.sync.get(AskGeminiTemplates.STORAGE_DEFAULTS, function (items) {
+    templates = AskGeminiTemplates.normalizeTemplates(items);
+    selectTemplate(templates[0].id);
+  });
+
+  // ── Add ───────────────────────────────────────────────────────
+
+  addBtn.addEventListener("click", function () {
+    var template = {
+      id: AskGeminiTemplates.createTemplateId(),
+      name: "New Prompt",
+      format: AskGeminiTemplates.DEFAULT_CITATION_FORMAT,
+    };
+    templates.push(template);
+    selectTemplate(template.id);
+    persist("Prompt added.");
+    nameInput.focus();
+    nameInput.select();
+  });
+
+  // ── Validate while typing ─────────────────────────────────────
+
+  formatInput.addEventListener("input", checkFormat);
 
   // ── Save ──────────────────────────────────────────────────────
 
   saveBtn.addEventListener("click", function () {
+    var name = nameInput.value.trim();
     var raw = fromDisplay(formatInput.value);
 
-    if (raw.indexOf("[SELECTED]") === -1) {
-      showStatus(
-        "Format must contain the [SELECTED] placeholder.",
-        "error"
-      );
+    if (!name) {
+      showStatus("Please give the prompt a name.", "error");
       return;
     }
 
-    chrome.storage.sync.set({ citationFormat: raw }, function () {
-      showStatus("Saved!", "success");
-    });
+    if (!checkFormat()) {
+      showStatus("Please fix the errors in the prompt.", "error");
+      return;
+    }
+
+    var index = indexOfTemplate(selectedId);
+    if (index === -1) return;
+
+    templates[index].name = name;
+    templates[index].format = raw;
+    renderList();
+    persist("Saved!");
+  });
+
+  // ── Delete ────────────────────────────────────────────────────
+
+  deleteBtn.addEventListener("click", function () {
+    var index = indexOfTemplate(selectedId);
+    if (index === -1) return;
+
+    if (templates.length <= 1) {
+      showStatus("At least one prompt is required.", "error");
+      return;
+    }
+
+    if (!confirm('Delete the prompt "' + templates[index].name + '"?')) {
+      return;
+    }
+
+    templates.splice(index, 1);
+    selectTemplate(templates[Math.min(index, templates.length - 1)].id);
+    persist("Prompt deleted.");
   });
 
   // ── Reset ─────────────────────────────────────────────────────
 
   resetBtn.addEventListener("click", function () {
-    formatInput.value = toDisplay(DEFAULT_CITATION_FORMAT);
-    chrome.storage.sync.set(
-      { citationFormat: DEFAULT_CITATION_FORMAT },
-      function () {
-        showStatus("Reset to default.", "success");
+    if (
+      templates.length > 1 &&
+      !confirm("Replace all prompts with the built-in default?")
+    ) {
+      return;
+    }
+
+    templates = AskGeminiTemplates.getDefaultTemplates();
+    selectTemplate(templates[0].id);
+    persist("Reset to default.");
+  });
+
+  // ── Other settings ────────────────────────────────────────────
+
+  // History retention choices (0 = no history)
+  AskGeminiHistory.LIMIT_OPTIONS.forEach(function (limit) {
+    var option = document.createElement("option");
+    option.value = String(limit);
+    option.textContent = limit === 0 ? "No history" : "Last " + limit + " quotes";
+    historyLimitSelect.appendChild(option);
+  });
+
+  // Each control is saved as soon as it changes.
+  var settingControls = {
+    outputFormat: outputFormatSelect,
+    tableFormat: tableFormatSelect,
+    reviewBeforeSend: reviewBeforeSendCheckbox,
+    crossSiteQuoting: crossSiteCheckbox,
+    historyLimit: historyLimitSelect,
+    debugMode: debugModeCheckbox,
+  };
+
+  function getControlValue(control) {
+    if (control.type === "checkbox") return control.checked;
+    if (control === historyLimitSelect) return Number(control.value);
+    return control.value;
+  }
+
+  function setControlValue(control, value) {
+    if (control.type === "checkbox") {
+      control.checked = !!value;
+    } else {
+      control.value = value;
+    }
+  }
+
+  chrome.storage.sync.get(SETTINGS_DEFAULTS, function (items) {
+    Object.keys(settingControls).forEach(function (key) {
+      setControlValue(settingControls[key], items[key]);
+    });
+  });
+
+  Object.keys(settingControls).forEach(function (key) {
+    settingControls[key].addEventListener("change", function () {
+      var change = {};
+      change[key] = getControlValue(settingControls[key]);
+      chrome.storage.sync.set(change, function () {
+        showStatus("Saved!", "success");
+      });
+    });
+  });
+
+  // ── Page selectors ────────────────────────────────────────────
+
+  // Selector editor textareas, by category (see selectors.js).
+  var selectorInputs = {};
+
+  Object.keys(AskGeminiSelectors.CATEGORIES).forEach(function (category) {
+    var info = AskGeminiSelectors.CATEGORIES[category];
+    var id = "selectors-" + category;
+
+    var label = document.createElement("label");
+    label.htmlFor = id;
+    label.textContent = info.label;
+
+    var hint = document.createElement("p");
+    hint.className = "hint";
+    hint.textContent = info.description;
+
+    var input = document.createElement("textarea");
+    input.id = id;
+    input.rows = 4;
+    input.spellcheck = false;
+    input.className = "selector-input";
+
+    selectorEditorsEl.appendChild(label);
+    selectorEditorsEl.appendChild(hint);
+    selectorEditorsEl.appendChild(input);
+    selectorInputs[category] = input;
+  });
+
+  function showSelectors(selectors) {
+    Object.keys(selectorInputs).forEach(function (category) {
+      selectorInputs[category].value = selectors[category].join("\n");
+      selectorInputs[category].classList.remove("invalid");
+    });
+  }
+
+  /**
+   * Read the selector editors.  Returns the lists, or null (with the
+   * offending editors marked) when a list is empty or has a selector
+   * that isn't valid CSS.
+   */
+  function readSelectors() {
+    var selectors = {};
+    var problem = null;
+
+    Object.keys(selectorInputs).forEach(function (category) {
+      var input = selectorInputs[category];
+      var list = AskGeminiSelectors.parseSelectorList(input.value);
+      var invalid = list.filter(function (selector) {
+        return !AskGeminiSelectors.isValidSelector(selector);
+      });
+
+      input.classList.toggle("invalid", list.length === 0 || invalid.length > 0);
+      if (!problem && list.length === 0) {
+        problem = AskGeminiSelectors.CATEGORIES[category].label + " needs at least one selector.";
+      } else if (!problem && invalid.length > 0) {
+        problem = "Not a valid selector: " + invalid[0];
       }
-    );
+      selectors[category] = list;
+    });
+
+    if (problem) {
+      showStatus(problem, "error");
+      return null;
+    }
+    return selectors;
+  }
+
+  chrome.storage.sync.get(AskGeminiSelectors.STORAGE_DEFAULTS, function (items) {
+    showSelectors(AskGeminiSelectors.resolveSelectors(items));
+  });
+
+  selectorsSaveBtn.addEventListener("click", function () {
+    var selectors = readSelectors();
+    if (!selectors) return;
+
+    var profile = AskGeminiSelectors.createProfile(selectors);
+    if (profile) {
+      chrome.storage.sync.set({ selectorProfile: profile }, function () {
+        showStatus("Selectors saved.", "success");
+      });
+    } else {
+      chrome.storage.sync.remove("selectorProfile", function () {
+        showStatus("Using the default selectors.", "success");
+      });
+    }
+  });
+
+  selectorsResetBtn.addEventListener("click", function () {
+    if (!confirm("Replace all page selectors with the built-in defaults?")) return;
+    showSelectors(AskGeminiSelectors.getDefaultSelectors());
+    selfTestResultsEl.textContent = "";
+    chrome.storage.sync.remove("selectorProfile", function () {
+      showStatus("Reset to default selectors.", "success");
+    });
+  });
+
+  function renderSelfTest(report) {
+    selfTestResultsEl.textContent = "";
+
+    Object.keys(AskGeminiSelectors.CATEGORIES).forEach(function (category) {
+      var info = AskGeminiSelectors.CATEGORIES[category];
+      var results = report.results[category] || [];
+      var matching = results.filter(function (result) { return result.count > 0; });
+
+      var group = document.createElement("div");
+      // Optional parts (e.g. nothing to exclude) may be missing.
+      var failed = matching.length === 0 && !info.optional;
+      group.className = "self-test-group" + (failed ? " failed" : "");
+
+      var heading = document.createElement("div");
+      heading.className = "self-test-heading";
+      heading.textContent =
+        info.label + ": " +
+        matching.length + " of " + results.length + " match";
+      if (report.used[category]) {
+        heading.textContent += " \u2014 using " + report.used[category]; // —
+      }
+      group.appendChild(heading);
+
+      var list = document.createElement("ul");
+      results.forEach(function (result) {
+        var item = document.createElement("li");
+        if (!result.valid) {
+          item.className = "invalid";
+          item.textContent = "\u26A0 " + result.selector + " (invalid)"; // ⚠
+        } else if (result.count > 0) {
+          item.className = "match";
+          item.textContent = "\u2713 " + result.selector + " (" + result.count + ")"; // ✓
+        } else {
+          item.className = "no-match";
+          item.textContent = "\u2717 " + result.selector; // ✗
+        }
+        list.appendChild(item);
+      });
+      group.appendChild(list);
+      selfTestResultsEl.appendChild(group);
+    });
+  }
+
+  /**
+   * Ask the active Gemini tab which of the selectors in the editors match
+   * its page right now.
+   */
+  selfTestBtn.addEventListener("click", function () {
+    var selectors = readSelectors();
+    if (!selectors) return;
+
+    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+      var tab = tabs && tabs[0];
+      if (!tab || !AskGeminiSettings.isGeminiUrl(tab.url)) {
+        showStatus("Open a Gemini conversation to run the self-test.", "error");
+        return;
+      }
+
+      chrome.tabs.sendMessage(tab.id, { type: "self-test", selectors: selectors }, function (report) {
+        if (chrome.runtime.lastError || !report) {
+          showStatus("Reload the Gemini tab and try again.", "error");
+          return;
+        }
+        renderSelfTest(report);
+      });
+    });
+  });
+
+  // ── Diagnostics ───────────────────────────────────────────────
+
+  /**
+   * Save an object as a JSON file in the user's downloads.
+   */
+  function downloadJSON(data, filename) {
+    var blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function () {
+      URL.revokeObjectURL(url);
+    }, 1000);
+  }
+
+  function pad(n) {
+    return (n < 10 ? "0" : "") + n;
+  }
+
+  /**
+   * Export the diagnostics of the active Gemini tab (its log, settings
+   * and matching selectors) together with the extension version and the
+   * user agent.  Without a Gemini tab, the file says why it has no log.
+   */
+  exportDiagnosticsBtn.addEventListener("click", function () {
+    var manifest = chrome.runtime.getManifest();
+    var now = new Date();
+    var diagnostics = {
+      extension: manifest.name,
+      version: manifest.version,
+      exportedAt: now.toISOString(),
+      userAgent: navigator.userAgent,
+      tab: null,
+    };
+    var filename =
+      "ask-gemini-diagnostics-" +
+      now.getFullYear() + pad(now.getMonth() + 1) + pad(now.getDate()) + "-" +
+      pad(now.getHours()) + pad(now.getMinutes()) + pad(now.getSeconds()) +
+      ".json";
+
+    function save(note) {
+      if (note) diagnostics.note = note;
+      downloadJSON(diagnostics, filename);
+      showStatus(note ? "Exported (without page log)." : "Diagnostics exported.", "success");
+    }
+
+    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+      var tab = tabs && tabs[0];
+      if (!tab || !AskGeminiSettings.isGeminiUrl(tab.url)) {
+        save("The active tab was not a Gemini page.");
+        return;
+      }
+
+      chrome.tabs.sendMessage(tab.id, { type: "get-diagnostics" }, function (report) {
+        if (chrome.runtime.lastError || !report) {
+          save("The Gemini tab did not answer; it may need to be reloaded.");
+          return;
+        }
+        diagnostics.tab = report;
+        save();
+      });
+    });
+  });
+
+  // ── Tabs ──────────────────────────────────────────────────────
+
+  var views = [
+    { tab: settingsTab, view: settingsView },
+    { tab: historyTab, view: historyView, onShow: function () {
+      loadHistory();
+      historySearch.focus();
+    } },
+    { tab: highlightsTab, view: highlightsView, onShow: loadHighlightList },
+  ];
+
+  function showView(selected) {
+    views.forEach(function (entry) {
+      var isSelected = entry === selected;
+      entry.view.hidden = !isSelected;
+      entry.tab.setAttribute("aria-selected", isSelected ? "true" : "false");
+      if (isSelected && entry.onShow) entry.onShow();
+    });
+  }
+
+  views.forEach(function (entry) {
+    entry.tab.addEventListener("click", function () {
+      showView(entry);
+    });
+  });
+
+  // ── History ───────────────────────────────────────────────────
+
+  // The history as last read from chrome.storage.local (newest first).
+  var historyEntries = [];
+
+  function loadHistory() {
+    AskGeminiHistory.loadHistory(function (list) {
+      historyEntries = list;
+      renderHistory();
+    });
+  }
+
+  /**
+   * Have the background service worker change the history (see
+   * history.js), then show the new list.
+   */
+  function changeHistory(message, callback) {
+    AskGeminiHistory.sendHistoryChange(message, function (list) {
+      if (!list) {
+        showStatus("Couldn't change the history.", "error");
+        return;
+      }
+      historyEntries = list;
+      renderHistory();
+      if (callback) callback();
+    });
+  }
+
+  function formatTimestamp(timestamp) {
+    var date = new Date(timestamp);
+    return date.toLocaleDateString() + " " +
+      date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  }
+
+  /**
+   * Attach a history entry as a quote chip in the active Gemini tab.
+   */
+  function attachEntry(entry) {
+    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+      var tab = tabs && tabs[0];
+      if (!tab || !AskGeminiSettings.isGeminiUrl(tab.url)) {
+        showStatus("Open a Gemini tab to attach the quote.", "error");
+        return;
+      }
+
+      chrome.tabs.sendMessage(tab.id, { type: "attach-quote", quote: entry }, function () {
+        if (chrome.runtime.lastError) {
+          showStatus("Reload the Gemini tab and try again.", "error");
+          return;
+        }
+        showStatus("Quote attached.", "success");
+      });
+    });
+  }
+
+  function createHistoryItem(entry) {
+    var item = document.createElement("li");
+    item.className = "history-item";
+
+    var text = document.createElement("div");
+    text.className = "history-text";
+    text.textContent = entry.displayText;
+    text.title = entry.displayText;
+    item.appendChild(text);
+
+    if (entry.question) {
+      var question = document.createElement("div");
+      question.className = "history-question";
+      question.textContent = entry.question;
+      item.appendChild(question);
+    }
+
+    var meta = document.createElement("div");
+    meta.className = "history-meta";
+
+    var details = document.createElement("span");
+    details.className = "history-details";
+    details.textContent = [entry.templateName, formatTimestamp(entry.timestamp)]
+      .filter(Boolean)
+      .join(" \u00B7 "); // ·
+    meta.appendChild(details);
+
+    if (entry.conversationUrl) {
+      var link = document.createElement("a");
+      link.href = entry.conversationUrl;
+      link.target = "_blank";
+      link.textContent = "Conversation";
+      link.title = entry.conversationUrl;
+      meta.appendChild(link);
+    }
+
+    if (entry.source && entry.source.url) {
+      var source = document.createElement("a");
+      source.href = entry.source.url;
+      source.target = "_blank";
+      source.textContent = "Source";
+      source.title = entry.source.title || entry.source.url;
+      meta.appendChild(source);
+    }
+
+    var spacer = document.createElement("span");
+    spacer.className = "spacer";
+    meta.appendChild(spacer);
+
+    var attachBtn = document.createElement("button");
+    attachBtn.className = "btn btn-secondary btn-small";
+    attachBtn.textContent = "Attach";
+    attachBtn.title = "Attach as a quote chip in the active Gemini tab";
+    attachBtn.addEventListener("click", function () {
+      attachEntry(entry);
+    });
+    meta.appendChild(attachBtn);
+
+    meta.appendChild(createIconButton("&#10005;", "Delete from history", function () { // ✕
+      changeHistory({ type: "history-delete", id: entry.id }, function () {
+        showStatus("Deleted.", "success");
+      });
+    }));
+
+    item.appendChild(meta);
+    return item;
+  }
+
+  function renderHistory() {
+    var query = historySearch.value;
+    var matches = historyEntries.filter(function (entry) {
+      return AskGeminiHistory.matchesQuery(entry, query);
+    });
+
+    historyListEl.textContent = "";
+    matches.forEach(function (entry) {
+      historyListEl.appendChild(createHistoryItem(entry));
+    });
+
+    historyListEl.hidden = matches.length === 0;
+    historyEmptyEl.hidden = matches.length > 0;
+    historyEmptyEl.textContent = historyEntries.length === 0
+      ? "Quotes you send appear here."
+      : "No quotes match your search.";
+    clearHistoryBtn.disabled = historyEntries.length === 0;
+  }
+
+  historySearch.addEventListener("input", renderHistory);
+
+  historyLimitSelect.addEventListener("change", function () {
+    var limit = Number(historyLimitSelect.value);
+    changeHistory({ type: "history-trim", limit: limit });
+  });
+
+  clearHistoryBtn.addEventListener("click", function () {
+    if (!confirm("Delete all " + historyEntries.length + " quotes from the history?")) {
+      return;
+    }
+    changeHistory({ type: "history-clear" }, function () {
+      showStatus("History cleared.", "success");
+    });
+  });
+
+  // ── Highlights ────────────────────────────────────────────────
+
+  function createHighlightItem(url, highlight) {
+    var item = document.createElement("li");
+    item.className = "highlight-item";
+
+    var body = document.createElement("div");
+    body.className = "highlight-body";
+
+    var text = document.createElement("div");
+    text.className = "highlight-text";
+    text.textContent = highlight.text;
+    text.title = highlight.text;
+    body.appendChild(text);
+
+    if (highlight.note) {
+      var note = document.createElement("div");
+      note.className = "highlight-note";
+      note.textContent = highlight.note;
+      body.appendChild(note);
+    }
+
+    item.appendChild(body);
+    item.appendChild(createIconButton("&#10005;", "Delete highlight", function () { // ✕
+      AskGeminiHighlights.deleteHighlight(url, highlight.id, function () {
+        loadHighlightList();
+        showStatus("Deleted.", "success");
+      });
+    }));
+    return item;
+  }
+
+  /**
+   * List the saved highlights, grouped by conversation (most recently
+   * highlighted conversation first).
+   */
+  function loadHighlightList() {
+    AskGeminiHighlights.loadAll(function (all) {
+      var conversations = Object.keys(all).map(function (key) {
+        return all[key];
+      });
+      var latest = function (conversation) {
+        return conversation.items.reduce(function (max, item) {
+          return Math.max(max, item.createdAt || 0);
+        }, 0);
+      };
+      conversations.sort(function (a, b) {
+        return latest(b) - latest(a);
+      });
+
+      highlightListEl.textContent = "";
+      conversations.forEach(function (conversation) {
+        var group = document.createElement("li");
+        group.className = "highlight-group";
+
+        var link = document.createElement("a");
+        link.className = "highlight-conversation";
+        link.href = conversation.url;
+        link.target = "_blank";
+        link.textContent = conversation.title || conversation.url;
+        link.title = conversation.url;
+        group.appendChild(link);
+
+        var items = document.createElement("ul");
+        conversation.items.forEach(function (highlight) {
+          items.appendChild(createHighlightItem(conversation.url, highlight));
+        });
+        group.appendChild(items);
+        highlightListEl.appendChild(group);
+      });
+
+      highlightListEl.hidden = conversations.length === 0;
+      highlightsEmptyEl.hidden = conversations.length > 0;
+    });
+  }
+
+  // Quotes sent or highlights saved while the popup is open
+  chrome.storage.onChanged.addListener(function (changes, area) {
+    if (area !== "local") return;
+    if (changes[AskGeminiHistory.STORAGE_KEY] && !historyView.hidden) {
+      loadHistory();
+    }
+    if (changes[AskGeminiHighlights.STORAGE_KEY] && !highlightsView.hidden) {
+      loadHighlightList();
+    }
   });
 })();
@@ -0,0 +1,262 @@
+/*
+ * Ask Gemini — page selector profile.
+ *
+ * The CSS selectors the content script uses to find Gemini's responses,
+ * its input box, its send button, the user's and Gemini's turns and the
+ * conversation itself.  Shared by the content script and
+ * the settings popup, where they can be overridden without touching code
+ * when Gemini changes its page structure.
+ *
+ * Overrides are stored in chrome.storage.sync under `selectorProfile` as
+ *   { version, selectors: { response, input, exclude, sendButton, userTurn,
+ *                           modelTurn, conversation } }
+ * where each list is optional; categories that are not overridden use
+ * the built-in defaults below.
+ */
+(function (root) {
+  "use strict";
+
+  // Bump when the stored shape changes, and add a step to MIGRATIONS.
+  var PROFILE_VERSION = 1;
+
+  // Upgrades of stored profiles, keyed by the version they upgrade from.
+  // Each step takes a profile and returns one of the next version.
+  var MIGRATIONS = {};
+
+  // Selector categories, in the order shown in the popup.  `optional`
+  // categories may match nothing on a working page (the self-test doesn't
+  // flag them).
+  var CATEGORIES = {
+    response: {
+      label: "Responses",
+      description: "Containers of Gemini's responses, where the bubble appears.",
+    },
+    input: {
+      label: "Input box",
+      description: "The box you type in; the first match is used.",
+    },
+    exclude: {
+      label: "Excluded areas",
+      description: "Areas where selecting text never shows the bubble.",
+      optional: true,
+    },
+    sendButton: {
+      label: "Send button",
+      description: "Gemini's send button; the first match is used.",
+    },
+    userTurn: {
+      label: "Your messages",
+      description: "Your own turns in the conversation; a new one confirms a message was sent, and quotes from them are attributed to you.",
+      // A new chat has no turns yet.
+      optional: true,
+    },
+    modelTurn: {
+      label: "Gemini's turns",
+      description: "Gemini's turns in the conversation; quotes from them are attributed to Gemini.",
+      optional: true,
+    },
+    conversation: {
+      label: "Conversation",
+      description: "The element holding the turns; the first match is watched for new and changed turns.",
+      // Not there until the first message of a new chat.
+      optional: true,
+    },
+  };
+
+  var DEFAULT_SELECTORS = {
+    // Selectors for Gemini's response containers (tried in order).
+    // These identify the area where Gemini's model responses are rendered.
+    response: [
+      // Common Gemini response container classes (may change with updates)
+      ".model-response-text",
+      ".response-container-content",
+      ".response-container",
+      ".message-content",
+      ".markdown-main-panel",
+      ".model-response",
+      '[data-message-author-role="model"]',
+      // Markdown rendered content often lives here
+      ".markdown",
+      ".markdown-body",
+    ],
+
+    // Selectors for the user input area. We use these to:
+    //   1. Exclude selections made inside the input from triggering the bubble.
+    //   2. Find the input element to inject the selected text into.
+    input: [
+      // Gemini uses a custom <rich-textarea> element
+      "rich-textarea .ql-editor",
+      "rich-textarea .ProseMirror",
+      "rich-textarea [contenteditable='true']",
+      "rich-textarea [contenteditable]",
+      ".text-input-field [contenteditable='true']",
+      ".input-area [contenteditable='true']",
+      // Fallback: look for the rich-textarea element itself
+      "rich-textarea",
+      // Last resort: any contenteditable with specific data attributes
+      'div[contenteditable="true"][data-placeholder]',
+      // Generic textarea fallback
+      "textarea.text-input",
+      ".input-area textarea",
+      "textarea[aria-label]",
+    ],
+
+    // Selectors for areas that should NOT trigger the bubble
+    // (i.e., the user's own input area and toolbars/buttons)
+    exclude: [
+      "rich-textarea",
+      ".text-input-field",
+      ".input-area-container",
+      ".input-area",
+      "button",
+      '[role="button"]',
+      ".toolbar",
+      ".action-bar",
+    ],
+
+    // Selectors for the send button
+    sendButton: [
+      'button[aria-label="Send message"]',
+      'button[aria-label="Send"]',
+      ".send-button",
+      'button[data-test-id="send-button"]',
+    ],
+
+    // Selectors for the user's own turns and for Gemini's.  Together they
+    // make up the conversation's turns, which are numbered for
+    // [TURN_NUMBER] and bound the [CONTEXT_BEFORE] / [CONTEXT_AFTER] text.
+    // New user turns confirm that a message was actually sent, and quotes
+    // are attributed to the user or to Gemini by the kind of turn they
+    // came from.
+    userTurn: [
+      "user-query",
+      '[data-message-author-role="user"]',
+    ],
+    modelTurn: [
+      "model-response",
+      '[data-message-author-role="model"]',
+    ],
+
+    // Selectors for the element holding the list of conversation turns
+    // (tried in order).
+    conversation: [
+      "#chat-history infinite-scroller",
+      "infinite-scroller",
+      "#chat-history",
+      ".chat-history",
+    ],
+  };
+
+  var STORAGE_DEFAULTS = {
+    selectorProfile: null,
+  };
+
+  /**
+   * Return a fresh copy of the default selector lists.
+   */
+  function getDefaultSelectors() {
+    var copy = {};
+    Object.keys(DEFAULT_SELECTORS).forEach(function (category) {
+      copy[category] = DEFAULT_SELECTORS[category].slice();
+    });
+    return copy;
+  }
+
+  function isSelectorList(list) {
+    return (
+      Array.isArray(list) &&
+      list.length > 0 &&
+      list.every(function (selector) {
+        return typeof selector === "string" && selector.trim() !== "";
+      })
+    );
+  }
+
+  /**
+   * Bring a stored profile up to the current version.  Returns null for
+   * profiles that can't be used (missing, malformed or from a newer
+   * version of the extension).
+   */
+  function migrateProfile(profile) {
+    if (!profile || typeof profile !== "object" || typeof profile.version !== "number") {
+      return null;
+    }
+    while (profile.version < PROFILE_VERSION) {
+      var step = MIGRATIONS[profile.version];
+      if (!step) return null;
+      profile = step(profile);
+    }
+    return profile.version === PROFILE_VERSION ? profile : null;
+  }
+
+  /**
+   * Turn the raw items read from chrome.storage.sync into the selector
+   * lists to use: the stored overrides on top of the defaults.
+   */
+  function resolveSelectors(items) {
+    var selectors = getDefaultSelectors();
+    var profile = migrateProfile(items && items.selectorProfile);
+    if (!profile || !profile.selectors) return selectors;
+
+    Object.keys(CATEGORIES).forEach(function (category) {
+      if (isSelectorList(profile.selectors[category])) {
+        selectors[category] = profile.selectors[category].slice();
+      }
+    });
+    return selectors;
+  }
+
+  /**
+   * Build a profile to store from the given selector lists, keeping only
+   * the categories that differ from the defaults (so the others pick up
+   * future default updates).  Returns null when nothing is overridden.
+   */
+  function createProfile(selectors) {
+    var overrides = {};
+    Object.keys(CATEGORIES).forEach(function (category) {
+      var list = selectors[category];
+      if (
+        isSelectorList(list) &&
+        list.join("\n") !== DEFAULT_SELECTORS[category].join("\n")
+      ) {
+        overrides[category] = list.slice();
+      }
+    });
+    if (Object.keys(overrides).length === 0) return null;
+    return { version: PROFILE_VERSION, selectors: overrides };
+  }
+
+  /**
+   * Split the text of a selector editor (one selector per line) into a
+   * list, ignoring blank lines.
+   */
+  function parseSelectorList(text) {
+    return String(text || "")
+      .split("\n")
+      .map(function (line) { return line.trim(); })
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether a string is a syntactically valid CSS selector.
+   */
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  root.AskGeminiSelectors = {
+    PROFILE_VERSION: PROFILE_VERSION,
+    CATEGORIES: CATEGORIES,
+    STORAGE_DEFAULTS: STORAGE_DEFAULTS,
+    getDefaultSelectors: getDefaultSelectors,
+    resolveSelectors: resolveSelectors,
+    createProfile: createProfile,
+    parseSelectorList: parseSelectorList,
+    isValidSelector: isValidSelector,
+  };
+})(globalThis);
@@ -0,0 +1,48 @@
+/*
+ * Ask Gemini — settings.
+ *
+ * Shared by the content script, the settings popup and the background
+ * service worker.  The settings other than the prompt library (see
+ * templates.js) and the page selectors (see selectors.js) are stored in
+ * chrome.storage.sync as one key each; STORAGE_DEFAULTS lists them with
+ * their defaults.  Needs history.js (for the default history limit).
+ */
+(function (root) {
+  "use strict";
+
+  // Gemini's pages, as a match pattern for chrome.tabs.query() and the
+  // address of a new chat.
+  var GEMINI_PAGES = ["https://gemini.google.com/*"];
+  var GEMINI_NEW_CHAT_URL = "https://gemini.google.com/app";
+
+  var STORAGE_DEFAULTS = {
+    // Format of the extracted quote text: "markdown" keeps headings,
+    // lists, emphasis, links and code; "plain" flattens to plain text.
+    outputFormat: "markdown",
+    // Format of quoted tables: "markdown", "csv", "tsv" or "html".
+    tableFormat: "markdown",
+    // Show the composed message in an editable preview before sending.
+    reviewBeforeSend: false,
+    // Offer quoting on every website, not just Gemini (see background.js).
+    crossSiteQuoting: false,
+    // Number of sent quotes kept in the history (see history.js);
+    // 0 turns the history off.
+    historyLimit: root.AskGeminiHistory.DEFAULT_LIMIT,
+    // Print the content script's log output to the console.
+    debugMode: false,
+  };
+
+  /**
+   * Check whether an address is one of Gemini's pages.
+   */
+  function isGeminiUrl(url) {
+    return typeof url === "string" && url.indexOf("https://gemini.google.com/") === 0;
+  }
+
+  root.AskGeminiSettings = {
+    GEMINI_PAGES: GEMINI_PAGES,
+    GEMINI_NEW_CHAT_URL: GEMINI_NEW_CHAT_URL,
+    STORAGE_DEFAULTS: STORAGE_DEFAULTS,
+    isGeminiUrl: isGeminiUrl,
+  };
+})(globalThis);
@@ -0,0 +1,293 @@
+/*
+ * Ask Gemini — quote prompt templates.
+ *
+ * Shared by the content script and the settings popup.  Templates are
+ * stored in chrome.storage.sync under `templates` as an ordered list of
+ *   { id, name, format }
+ * The first template in the list is the default one used by the bubble.
+ *
+ * A format string is plain text with bracketed directives:
+ *   [SELECTED], [USER_INPUT], ...   placeholders (see PLACEHOLDERS)
+ *   [IF NAME] ... [ELSE] ... [END IF]
+ *                                   renders the first branch when the
+ *                                   placeholder NAME is non-empty, the
+ *                                   (optional) [ELSE] branch otherwise
+ * Only upper-case bracketed words are directives; anything else, such as
+ * "[1]" or "[note]", is kept as literal text.
+ */
+(function (root) {
+  "use strict";
+
+  var DEFAULT_CITATION_FORMAT =
+    "Regarding the following selected content[IF FROM_USER] from my earlier message[END IF]:\n" +
+    "------\n" +
+    "[SELECTED]\n" +
+    "------\n";
+
+  var DEFAULT_TEMPLATE_ID = "default";
+
+  // Placeholders understood by the template language, with the short
+  // description shown in the settings popup.
+  var PLACEHOLDERS = {
+    SELECTED: "the quoted text",
+    USER_INPUT: "what you typed in the input box",
+    DATE: "today's date",
+    PAGE_URL: "the address of the conversation",
+    CONVERSATION_TITLE: "the title of the conversation",
+    TURN_NUMBER: "the number of the turn the quote came from",
+    TURN_ROLE: "who wrote that turn: \"user\" (you) or \"model\" (Gemini)",
+    FROM_USER: "set when the quote is from one of your own messages",
+    FROM_MODEL: "set when the quote is from one of Gemini's responses",
+    QUOTE_NUMBER: "the position of the quote when several are attached",
+    CONTEXT_BEFORE: "the text just before the quote in its turn",
+    CONTEXT_AFTER: "the text just after the quote in its turn",
+    SOURCE_URL: "the address of the website a quote was taken from",
+    SOURCE_TITLE: "the title of the website a quote was taken from",
+  };
+
+  // Matches a directive: an upper-case word (or "IF NAME" / "END IF")
+  // in square brackets.
+  var DIRECTIVE_PATTERN = /\[([A-Z][A-Z_]*(?: [A-Z][A-Z_]*)?)\]/g;
+
+  // Keys read from chrome.storage.sync.  `citationFormat` is the single
+  // format string stored by versions before the template library; it is
+  // only read to migrate it into the first template.
+  var STORAGE_DEFAULTS = {
+    templates: null,
+    citationFormat: null,
+  };
+
+  /**
+   * Return a fresh copy of the built-in template list.
+   */
+  function getDefaultTemplates() {
+    return [
+      {
+        id: DEFAULT_TEMPLATE_ID,
+        name: "Default",
+        format: DEFAULT_CITATION_FORMAT,
+      },
+    ];
+  }
+
+  /**
+   * Generate a reasonably unique id for a new template.
+   */
+  function createTemplateId() {
+    return (
+      "t" +
+      Date.now().toString(36) +
+      Math.random().toString(36).slice(2, 6)
+    );
+  }
+
+  function isValidTemplate(template) {
+    return (
+      template &&
+      typeof template.id === "string" &&
+      typeof template.name === "string" &&
+      typeof template.format === "string"
+    );
+  }
+
+  /**
+   * Turn the raw items read from chrome.storage.sync into a usable
+   * template list, migrating a legacy `citationFormat` if needed.
+   */
+  function normalizeTemplates(items) {
+    if (items && Array.isArray(items.templates)) {
+      var valid = items.templates.filter(isValidTemplate);
+      if (valid.length > 0) return valid;
+    }
+
+    if (items && typeof items.citationFormat === "string" && items.citationFormat) {
+      return [
+        {
+          id: DEFAULT_TEMPLATE_ID,
+          name: "Default",
+          format: items.citationFormat,
+        },
+      ];
+    }
+
+    return getDefaultTemplates();
+  }
+
+  /**
+   * Find a template by id, falling back to the first (default) template
+   * when the id is unknown (e.g. the template was deleted meanwhile).
+   */
+  function findTemplate(templates, id) {
+    for (var i = 0; i < templates.length; i++) {
+      if (templates[i].id === id) return templates[i];
+    }
+    return templates[0];
+  }
+
+  // ── Template language ─────────────────────────────────────────
+
+  /**
+   * Parse a format string into a tree of nodes:
+   *   { type: "text", value }
+   *   { type: "placeholder", name }
+   *   { type: "if", name, then: [nodes], otherwise: [nodes] }
+   * Returns { nodes, errors }, where each error is { message, index }
+   * (index is the offset of the offending directive in the format).
+   * Parsing never throws; unknown directives are reported and skipped.
+   */
+  function parseTemplate(format) {
+    var errors = [];
+    var rootNodes = [];
+    // Stack of open [IF] blocks; `target` is the branch being filled.
+    var stack = [];
+    var target = rootNodes;
+    var lastIndex = 0;
+    var match;
+
+    function error(message, index) {
+      errors.push({ message: message, index: index });
+    }
+
+    DIRECTIVE_PATTERN.lastIndex = 0;
+    while ((match = DIRECTIVE_PATTERN.exec(format)) !== null) {
+      var directive = match[1];
+      var index = match.index;
+
+      if (index > lastIndex) {
+        target.push({ type: "text", value: format.slice(lastIndex, index) });
+      }
+      lastIndex = index + match[0].length;
+
+      var words = directive.split(" ");
+
+      if (words[0] === "IF" && words.length === 2) {
+        if (!PLACEHOLDERS.hasOwnProperty(words[1])) {
+          error("Unknown placeholder [" + words[1] + "] in " + match[0] + ".", index);
+        }
+        var block = {
+          type: "if",
+          name: words[1],
+          then: [],
+          otherwise: [],
+          hasElse: false,
+          index: index,
+        };
+        target.push(block);
+        stack.push(block);
+        target = block.then;
+      } else if (directive === "IF") {
+        error("[IF] needs a placeholder name, e.g. [IF USER_INPUT].", index);
+      } else if (directive === "ELSE") {
+        var open = stack[stack.length - 1];
+        if (!open) {
+          error("[ELSE] without a matching [IF].", index);
+        } else if (open.hasElse) {
+          error("[IF " + open.name + "] has more than one [ELSE].", index);
+        } else {
+          open.hasElse = true;
+          target = open.otherwise;
+        }
+      } else if (directive === "END IF") {
+        if (stack.length === 0) {
+          error("[END IF] without a matching [IF].", index);
+        } else {
+          stack.pop();
+          var parent = stack[stack.length - 1];
+          target = parent ? (parent.hasElse ? parent.otherwise : parent.then) : rootNodes;
+        }
+      } else if (PLACEHOLDERS.hasOwnProperty(directive)) {
+        target.push({ type: "placeholder", name: directive });
+      } else {
+        error("Unknown placeholder " + match[0] + ".", index);
+      }
+    }
+
+    if (lastIndex < format.length) {
+      target.push({ type: "text", value: format.slice(lastIndex) });
+    }
+
+    stack.forEach(function (block) {
+      error("[IF " + block.name + "] is never closed with [END IF].", block.index);
+    });
+
+    return { nodes: rootNodes, errors: errors };
+  }
+
+  /**
+   * Check whether a parsed tree references the given placeholder, either
+   * directly or as an [IF] condition.
+   */
+  function nodesUse(nodes, name) {
+    return nodes.some(function (node) {
+      if (node.type === "placeholder") return node.name === name;
+      if (node.type === "if") {
+        return node.name === name || nodesUse(node.then, name) || nodesUse(node.otherwise, name);
+      }
+      return false;
+    });
+  }
+
+  function renderNodes(nodes, values, used) {
+    var out = "";
+    nodes.forEach(function (node) {
+      if (node.type === "text") {
+        out += node.value;
+      } else if (node.type === "placeholder") {
+        var text = values[node.name] == null ? "" : String(values[node.name]);
+        if (text) used[node.name] = true;
+        out += text;
+      } else if (node.type === "if") {
+        var value = values[node.name];
+        var isSet = value != null && String(value).trim() !== "";
+        out += renderNodes(isSet ? node.then : node.otherwise, values, used);
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Render a format string with the given placeholder values (an object
+   * keyed by placeholder name; missing values render as empty).  Invalid
+   * directives are skipped, so a broken template still produces output.
+   * If `used` is given, it gets a `true` property named after each
+   * placeholder that was written out with a value.
+   */
+  function renderTemplate(format, values, used) {
+    return renderNodes(parseTemplate(format).nodes, values || {}, used || {});
+  }
+
+  /**
+   * Validate a format string for saving.  Returns a list of errors
+   * ({ message, index }); an empty list means the format is valid.
+   */
+  function validateTemplate(format) {
+    var result = parseTemplate(format);
+    var errors = result.errors.slice();
+    // Inside an [IF] block the quote itself could be left out.
+    var placesSelected = result.nodes.some(function (node) {
+      return node.type === "placeholder" && node.name === "SELECTED";
+    });
+    if (!placesSelected) {
+      errors.push({
+        message: nodesUse(result.nodes, "SELECTED")
+          ? "[SELECTED] must also appear outside [IF] ... [END IF] blocks."
+          : "Format must contain the [SELECTED] placeholder.",
+        index: -1,
+      });
+    }
+    return errors;
+  }
+
+  root.AskGeminiTemplates = {
+    DEFAULT_CITATION_FORMAT: DEFAULT_CITATION_FORMAT,
+    PLACEHOLDERS: PLACEHOLDERS,
+    STORAGE_DEFAULTS: STORAGE_DEFAULTS,
+    getDefaultTemplates: getDefaultTemplates,
+    createTemplateId: createTemplateId,
+    normalizeTemplates: normalizeTemplates,
+    findTemplate: findTemplate,
+    parseTemplate: parseTemplate,
+    renderTemplate: renderTemplate,
+    validateTemplate: validateTemplate,
+  };
+})(globalThis);
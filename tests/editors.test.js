@@ -0,0 +1,158 @@
+/*
+ * Ask Gemini — input editor adapter tests.
+ *
+ * Loads the adapters (editors/*.js) into jsdom, the same way the content
+ * script gets them, and runs each against a static HTML fixture of the
+ * input box it handles (tests/fixtures/editors/).  Run with `npm test`.
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures", "editors");
+
+// The scripts the adapters need, in manifest order (see manifest.json).
+const SCRIPTS = [
+  "markdown.js",
+  "editors/registry.js",
+  "editors/quill.js",
+  "editors/prosemirror.js",
+  "editors/contenteditable.js",
+  "editors/textarea.js",
+];
+
+/**
+ * Open a fixture in a fresh window with the adapters loaded.  Returns
+ * { window, editor } where editor is bound to the fixture's input box
+ * (its <rich-textarea>).
+ */
+function openFixture(name) {
+  const html = fs.readFileSync(path.join(FIXTURES, name + ".html"), "utf8");
+  const dom = new JSDOM("<!DOCTYPE html><body>" + html + "</body>", {
+    runScripts: "outside-only",
+  });
+  const window = dom.window;
+  SCRIPTS.forEach(function (file) {
+    window.eval(fs.readFileSync(path.join(ROOT, file), "utf8"));
+  });
+
+  const input = window.document.querySelector("rich-textarea");
+  return { window: window, editor: window.AskGeminiEditors.getEditor(input) };
+}
+
+// Per fixture: the adapter that should handle it, the surface it should
+// bind to, and the text it should read back.
+const CASES = [
+  {
+    fixture: "quill",
+    adapter: "quill",
+    surface: ".ql-editor",
+    text: "Explain **this** code:\n- first\n  - nested\n```javascript\nlet a = 1;\na++;\n```\n",
+  },
+  {
+    fixture: "prosemirror",
+    adapter: "prosemirror",
+    surface: ".ProseMirror",
+    text: "## Question\nWhy does `` a`b `` need *longer* backticks?\n> quoted line\n",
+  },
+  {
+    fixture: "contenteditable",
+    adapter: "contenteditable",
+    surface: ".input-surface",
+    text: "First line\nsecond line\n- one\n- two\nSee [the docs](https://example.com/).",
+  },
+  {
+    fixture: "textarea",
+    adapter: "textarea",
+    surface: "textarea",
+    text: "Line one\n  indented line two",
+  },
+];
+
+const MESSAGE = "> quoted\n\n  indented <b>not bold</b>\nlast";
+
+CASES.forEach(function (c) {
+  test.describe(c.fixture + " fixture", function () {
+    test.it("is detected by the " + c.adapter + " adapter", function () {
+      const { window, editor } = openFixture(c.fixture);
+      assert.ok(editor, "no adapter detected the input box");
+      assert.strictEqual(editor.name, c.adapter);
+      assert.strictEqual(editor.surface, window.document.querySelector(c.surface));
+    });
+
+    test.it("reads the text with its structure", function () {
+      const { editor } = openFixture(c.fixture);
+      assert.strictEqual(editor.read(), c.text);
+    });
+
+    test.it("writes text line for line", function () {
+      const { window, editor } = openFixture(c.fixture);
+      let inputs = 0;
+      editor.surface.addEventListener("input", function () {
+        inputs++;
+      });
+
+      assert.strictEqual(editor.write(MESSAGE), true);
+      assert.strictEqual(editor.read(), MESSAGE);
+      assert.ok(inputs > 0, "the editor wasn't told its content changed");
+      assert.strictEqual(window.document.activeElement, editor.surface);
+    });
+
+    test.it("clears the content", function () {
+      const { editor } = openFixture(c.fixture);
+      editor.clear();
+      assert.strictEqual(editor.read().trim(), "");
+    });
+
+    test.it("restores the exact content it saved", function () {
+      const { editor } = openFixture(c.fixture);
+      const before = editor.read();
+      const saved = editor.save();
+
+      editor.write(MESSAGE);
+      editor.restore(saved);
+      assert.strictEqual(editor.save(), saved);
+      assert.strictEqual(editor.read(), before);
+    });
+
+    test.it("places the cursor at the end", function () {
+      const { window, editor } = openFixture(c.fixture);
+      editor.placeCursor();
+      assert.strictEqual(window.document.activeElement, editor.surface);
+
+      if (c.adapter === "textarea") {
+        assert.strictEqual(editor.surface.selectionStart, editor.surface.value.length);
+        return;
+      }
+      const selection = window.getSelection();
+      assert.ok(selection.isCollapsed);
+      const end = window.document.createRange();
+      end.selectNodeContents(editor.surface);
+      end.collapse(false);
+      const caret = selection.getRangeAt(0);
+      // Nothing but empty lines after the cursor
+      const after = window.document.createRange();
+      after.setStart(caret.startContainer, caret.startOffset);
+      after.setEnd(end.endContainer, end.endOffset);
+      assert.strictEqual(after.toString().trim(), "");
+    });
+  });
+});
+
+test.it("picks the adapter once per input box", function () {
+  const { window, editor } = openFixture("quill");
+  const input = window.document.querySelector("rich-textarea");
+  assert.strictEqual(window.AskGeminiEditors.getEditor(input), editor);
+
+  // A re-rendered editor is detected again
+  const surface = editor.surface;
+  surface.replaceWith(surface.cloneNode(true));
+  const again = window.AskGeminiEditors.getEditor(input);
+  assert.notStrictEqual(again, editor);
+  assert.strictEqual(again.surface, input.querySelector(".ql-editor"));
+});
@@ -0,0 +1,686 @@
+/*
+ * Ask Gemini — extension UI styles.
+ *
+ * Styles for everything the extension draws on top of Gemini: the floating
+ * bubble, the template menu, the quote chips, notices, the highlight note
+ * field and the send preview.  They live in a closed shadow root (see
+ * "UI Root" in content.js), so this stylesheet is the only one that
+ * applies to them and none of it reaches Gemini's page.  The Quote
+ * buttons added to Gemini's responses have shadow roots of their own
+ * with a stylesheet of their own (ACTION_CSS, see "Quote Actions").
+ *
+ * The CSS is kept in a script, not a .css file, so the content script can
+ * apply it to its shadow roots as a constructed stylesheet the moment they
+ * are created: nothing is loaded from the extension, so the UI is never
+ * shown unstyled and no extension file has to be exposed to the page.
+ *
+ * Colors come from the theme tokens below.  The content script sets the
+ * host's data-theme attribute to "light" or "dark" from the colors Gemini
+ * actually renders.
+ */
+(function (root) {
+  "use strict";
+
+  var UI_CSS = `
+/* Overlay holding the bubble, menu, chips and other floating UI */
+:host(ask-gemini-ui) {
+  all: initial;
+  position: absolute;
+  top: 0;
+  left: 0;
+  width: 0;
+  height: 0;
+  overflow: visible;
+  z-index: 2147483647;
+}
+
+:host {
+  /* Theme tokens (light) */
+  --ag-font: "Google Sans", Roboto, Arial, sans-serif;
+  --ag-mono-font: "Roboto Mono", Consolas, monospace;
+  --ag-accent: #1a73e8;
+  --ag-accent-hover: #1765cc;
+  --ag-accent-active: #1558b0;
+  --ag-on-accent: #ffffff;
+  --ag-accent-text: #1967d2;
+  --ag-surface: #ffffff;
+  --ag-surface-sunken: #f8f9fa;
+  --ag-surface-hover: #f1f3f4;
+  --ag-text: #202124;
+  --ag-text-secondary: #3c4043;
+  --ag-text-muted: #5f6368;
+  --ag-border: #dadce0;
+  --ag-chip-background: #e8f0fe;
+  --ag-chip-border: #d2e3fc;
+  --ag-hover-overlay: rgba(0, 0, 0, 0.08);
+  --ag-highlight-label: #b06000;
+  --ag-notice-background: #323232;
+  --ag-notice-text: #ffffff;
+  --ag-error-background: #b3261e;
+  --ag-shadow:
+    0 1px 3px rgba(0, 0, 0, 0.12),
+    0 4px 12px rgba(0, 0, 0, 0.15);
+}
+
+/* Theme tokens (dark) */
+:host([data-theme="dark"]) {
+  --ag-accent: #8ab4f8;
+  --ag-accent-hover: #aecbfa;
+  --ag-accent-active: #93b5f0;
+  --ag-on-accent: #202124;
+  --ag-accent-text: #8ab4f8;
+  --ag-surface: #303134;
+  --ag-surface-sunken: #202124;
+  --ag-surface-hover: #3c4043;
+  --ag-text: #e8eaed;
+  --ag-text-secondary: #bdc1c6;
+  --ag-text-muted: #9aa0a6;
+  --ag-border: #5f6368;
+  --ag-chip-background: #394457;
+  --ag-chip-border: #4a5568;
+  --ag-hover-overlay: rgba(255, 255, 255, 0.1);
+  --ag-highlight-label: #fdd663;
+}
+
+/* ==========================================================================
+   Floating Bubble
+   ========================================================================== */
+
+/*
+ * The floating "Ask Gemini" bubble that appears when the user selects text
+ * in a Gemini response. Designed to feel native to Google's Material Design
+ * language while remaining unobtrusive.
+ */
+
+#ask-gemini-bubble {
+  position: absolute;
+  display: flex;
+  align-items: stretch;
+  border-radius: 20px;
+  background: var(--ag-accent);
+  color: var(--ag-on-accent);
+  font-family: var(--ag-font);
+  font-size: 13px;
+  font-weight: 500;
+  line-height: 1;
+  cursor: pointer;
+  user-select: none;
+  -webkit-user-select: none;
+  -webkit-touch-callout: none;
+  -webkit-tap-highlight-color: transparent;
+  touch-action: manipulation;
+  white-space: nowrap;
+  box-shadow: var(--ag-shadow);
+  transition:
+    opacity 0.15s ease,
+    transform 0.15s ease,
+    background-color 0.1s ease;
+
+  /* Hidden by default */
+  opacity: 0;
+  transform: translateY(4px) scale(0.95);
+  pointer-events: none;
+}
+
+/* Below the selection: grow in from above instead */
+#ask-gemini-bubble[data-side="bottom"] {
+  transform: translateY(-4px) scale(0.95);
+}
+
+/* Visible state */
+#ask-gemini-bubble.ask-gemini-bubble-visible {
+  opacity: 1;
+  transform: translateY(0) scale(1);
+  pointer-events: auto;
+}
+
+/* Hover effect */
+#ask-gemini-bubble:hover {
+  background: var(--ag-accent-hover);
+  box-shadow:
+    0 2px 6px rgba(0, 0, 0, 0.15),
+    0 6px 16px rgba(0, 0, 0, 0.2);
+}
+
+/* Active (click) effect */
+#ask-gemini-bubble:active {
+  background: var(--ag-accent-active);
+  transform: scale(0.97);
+}
+
+/* Focus outline for accessibility */
+.ask-gemini-bubble-main:focus-visible,
+.ask-gemini-bubble-toggle:focus-visible,
+.ask-gemini-bubble-highlight:focus-visible {
+  outline: 2px solid var(--ag-accent);
+  outline-offset: 2px;
+  border-radius: 20px;
+}
+
+/* Main "Ask Gemini" part */
+.ask-gemini-bubble-main {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 6px 14px;
+}
+
+/* Template picker toggle, shown when more than one template exists */
+.ask-gemini-bubble-toggle {
+  display: none;
+  align-items: center;
+  padding: 6px 10px 6px 8px;
+  border-left: 1px solid rgba(255, 255, 255, 0.35);
+  font-size: 11px;
+}
+
+#ask-gemini-bubble.ask-gemini-bubble-has-menu .ask-gemini-bubble-main {
+  padding-right: 10px;
+}
+
+#ask-gemini-bubble.ask-gemini-bubble-has-menu .ask-gemini-bubble-toggle {
+  display: flex;
+}
+
+.ask-gemini-bubble-toggle:hover {
+  background: rgba(0, 0, 0, 0.12);
+}
+
+/* Highlight action */
+.ask-gemini-bubble-highlight {
+  display: flex;
+  align-items: center;
+  padding: 6px 12px 6px 10px;
+  border-left: 1px solid rgba(255, 255, 255, 0.35);
+  font-size: 13px;
+}
+
+.ask-gemini-bubble-highlight:hover {
+  background: rgba(0, 0, 0, 0.12);
+  border-radius: 0 20px 20px 0;
+}
+
+/* Touch and pen selections: tap targets at least 44px high and wide */
+#ask-gemini-bubble.ask-gemini-bubble-touch {
+  min-height: 44px;
+  border-radius: 22px;
+  font-size: 15px;
+}
+
+.ask-gemini-bubble-touch .ask-gemini-bubble-main {
+  padding: 0 18px;
+}
+
+.ask-gemini-bubble-touch .ask-gemini-bubble-toggle,
+.ask-gemini-bubble-touch .ask-gemini-bubble-highlight {
+  min-width: 44px;
+  justify-content: center;
+  padding: 0 12px;
+  font-size: 15px;
+}
+
+.ask-gemini-bubble-touch .ask-gemini-bubble-highlight:hover {
+  border-radius: 0 22px 22px 0;
+}
+
+/* Icon */
+.ask-gemini-bubble-icon {
+  font-size: 14px;
+  line-height: 1;
+  display: flex;
+  align-items: center;
+}
+
+/* Label */
+.ask-gemini-bubble-label {
+  letter-spacing: 0.01em;
+}
+
+/* ==========================================================================
+   Template Menu
+   ========================================================================== */
+
+#ask-gemini-template-menu {
+  position: fixed;
+  display: none;
+  flex-direction: column;
+  min-width: 160px;
+  max-width: 280px;
+  max-height: 240px;
+  overflow-y: auto;
+  padding: 4px 0;
+  border-radius: 8px;
+  background: var(--ag-surface);
+  color: var(--ag-text);
+  font-family: var(--ag-font);
+  font-size: 13px;
+  box-shadow: var(--ag-shadow);
+}
+
+#ask-gemini-template-menu.ask-gemini-template-menu-visible {
+  display: flex;
+}
+
+.ask-gemini-template-menu-item {
+  padding: 8px 14px;
+  cursor: pointer;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  user-select: none;
+}
+
+.ask-gemini-template-menu-item:hover,
+.ask-gemini-template-menu-item:focus {
+  outline: none;
+  background: var(--ag-surface-hover);
+}
+
+.ask-gemini-template-menu-item[aria-checked="true"] {
+  color: var(--ag-accent);
+  font-weight: 500;
+}
+
+/* ==========================================================================
+   Quote Chips
+   ========================================================================== */
+
+#ask-gemini-quote-chip {
+  position: fixed;
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+  box-sizing: border-box;
+  font-family: var(--ag-font);
+  font-size: 13px;
+  line-height: 1.3;
+  transition:
+    opacity 0.2s ease,
+    transform 0.2s ease;
+
+  /* Hidden by default */
+  opacity: 0;
+  transform: translateY(4px);
+  pointer-events: none;
+}
+
+/* Visible state */
+#ask-gemini-quote-chip.ask-gemini-chip-visible {
+  opacity: 1;
+  transform: translateY(0);
+  pointer-events: auto;
+}
+
+/* A single quote in the stack */
+.ask-gemini-chip-item {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 8px 14px;
+  box-sizing: border-box;
+  border-radius: 20px;
+  background: var(--ag-chip-background);
+  border: 1px solid var(--ag-chip-border);
+  color: var(--ag-accent-text);
+  box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08);
+}
+
+/* Quote number (only shown when several quotes are attached) */
+.ask-gemini-chip-number {
+  flex-shrink: 0;
+  min-width: 18px;
+  height: 18px;
+  padding: 0 4px;
+  box-sizing: border-box;
+  border-radius: 9px;
+  background: var(--ag-accent);
+  color: var(--ag-on-accent);
+  font-size: 11px;
+  font-weight: 500;
+  line-height: 18px;
+  text-align: center;
+}
+
+/* Quote icon */
+.ask-gemini-chip-quote-icon {
+  font-size: 16px;
+  color: var(--ag-accent);
+  flex-shrink: 0;
+  line-height: 1;
+}
+
+/* Quoted text preview */
+.ask-gemini-chip-text {
+  flex: 1;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  color: var(--ag-text-secondary);
+  font-size: 12px;
+}
+
+/* Quote text that jumps back to its passage when clicked */
+.ask-gemini-chip-text-link {
+  cursor: pointer;
+  border-radius: 4px;
+}
+
+.ask-gemini-chip-text-link:hover {
+  text-decoration: underline;
+}
+
+.ask-gemini-chip-text-link:focus-visible {
+  outline: 2px solid var(--ag-accent);
+  outline-offset: 1px;
+}
+
+/* Source website of a quote taken from another page */
+.ask-gemini-chip-source {
+  flex-shrink: 0;
+  max-width: 120px;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  color: var(--ag-text-muted);
+  font-size: 11px;
+}
+
+/* Who wrote the quoted turn ("You" / "Gemini") and its number */
+.ask-gemini-chip-role {
+  flex-shrink: 0;
+  padding: 1px 6px;
+  border-radius: 8px;
+  background: var(--ag-surface);
+  color: var(--ag-text-muted);
+  font-size: 11px;
+  white-space: nowrap;
+}
+
+.ask-gemini-chip-role[data-role="user"] {
+  color: var(--ag-highlight-label);
+}
+
+/* Template switcher */
+.ask-gemini-chip-template {
+  flex-shrink: 0;
+  max-width: 140px;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  padding: 2px 8px;
+  border: 1px solid var(--ag-chip-border);
+  border-radius: 10px;
+  background: var(--ag-surface);
+  color: var(--ag-accent-text);
+  font-family: inherit;
+  font-size: 11px;
+  cursor: pointer;
+}
+
+.ask-gemini-chip-template:hover {
+  background: var(--ag-chip-border);
+}
+
+/* Close and reorder buttons */
+.ask-gemini-chip-close,
+.ask-gemini-chip-move {
+  flex-shrink: 0;
+  background: none;
+  border: none;
+  color: var(--ag-text-muted);
+  cursor: pointer;
+  font-size: 12px;
+  width: 20px;
+  height: 20px;
+  padding: 0;
+  border-radius: 50%;
+  line-height: 1;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  transition: background-color 0.15s, color 0.15s;
+}
+
+.ask-gemini-chip-move {
+  font-size: 9px;
+}
+
+.ask-gemini-chip-close:hover,
+.ask-gemini-chip-move:hover {
+  background: var(--ag-hover-overlay);
+  color: var(--ag-text);
+}
+
+.ask-gemini-chip-move:disabled {
+  opacity: 0.35;
+  cursor: default;
+  background: none;
+}
+
+/* ==========================================================================
+   Notice
+   ========================================================================== */
+
+#ask-gemini-notice {
+  position: fixed;
+  left: 50%;
+  bottom: 140px;
+  max-width: 420px;
+  padding: 10px 16px;
+  box-sizing: border-box;
+  border-radius: 8px;
+  background: var(--ag-notice-background);
+  color: var(--ag-notice-text);
+  font-family: var(--ag-font);
+  font-size: 13px;
+  line-height: 1.4;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+  transform: translate(-50%, 4px);
+  opacity: 0;
+  pointer-events: none;
+  transition:
+    opacity 0.2s ease,
+    transform 0.2s ease;
+}
+
+#ask-gemini-notice.ask-gemini-notice-visible {
+  opacity: 1;
+  transform: translate(-50%, 0);
+}
+
+#ask-gemini-notice.ask-gemini-notice-error {
+  background: var(--ag-error-background);
+}
+
+/* ==========================================================================
+   Highlight Note Field
+   ========================================================================== */
+
+#ask-gemini-note-editor {
+  position: absolute;
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  width: 260px;
+  padding: 6px 6px 6px 12px;
+  box-sizing: border-box;
+  border: 1px solid var(--ag-border);
+  border-radius: 20px;
+  background: var(--ag-surface);
+  font-family: var(--ag-font);
+  font-size: 12px;
+  box-shadow: var(--ag-shadow);
+}
+
+.ask-gemini-note-label {
+  flex-shrink: 0;
+  color: var(--ag-highlight-label);
+  font-weight: 500;
+}
+
+.ask-gemini-note-input {
+  flex: 1;
+  min-width: 0;
+  padding: 4px 10px;
+  border: 1px solid var(--ag-border);
+  border-radius: 14px;
+  background: var(--ag-surface-sunken);
+  color: var(--ag-text);
+  font: inherit;
+  outline: none;
+}
+
+.ask-gemini-note-input:focus {
+  border-color: var(--ag-accent);
+  background: var(--ag-surface);
+}
+
+/* ==========================================================================
+   Send Preview ("review before send")
+   ========================================================================== */
+
+#ask-gemini-preview {
+  position: fixed;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  padding: 10px 12px;
+  box-sizing: border-box;
+  border: 1px solid var(--ag-chip-border);
+  border-radius: 16px;
+  background: var(--ag-surface);
+  color: var(--ag-text);
+  font-family: var(--ag-font);
+  font-size: 13px;
+  box-shadow: var(--ag-shadow);
+}
+
+.ask-gemini-preview-header {
+  display: flex;
+  align-items: baseline;
+  justify-content: space-between;
+  gap: 8px;
+}
+
+.ask-gemini-preview-title {
+  color: var(--ag-accent-text);
+  font-weight: 500;
+}
+
+.ask-gemini-preview-hint {
+  color: var(--ag-text-muted);
+  font-size: 11px;
+}
+
+.ask-gemini-preview-text {
+  min-height: 120px;
+  max-height: 50vh;
+  padding: 8px 10px;
+  box-sizing: border-box;
+  border: 1px solid var(--ag-border);
+  border-radius: 8px;
+  background: var(--ag-surface-sunken);
+  color: var(--ag-text);
+  font-family: var(--ag-mono-font);
+  font-size: 12px;
+  line-height: 1.5;
+  resize: vertical;
+  outline: none;
+}
+
+.ask-gemini-preview-text:focus {
+  border-color: var(--ag-accent);
+  background: var(--ag-surface);
+}
+
+.ask-gemini-preview-actions {
+  display: flex;
+  justify-content: flex-end;
+  gap: 8px;
+}
+
+.ask-gemini-preview-actions button {
+  padding: 6px 16px;
+  border: 1px solid var(--ag-border);
+  border-radius: 16px;
+  background: var(--ag-surface);
+  color: var(--ag-accent);
+  font: inherit;
+  font-weight: 500;
+  cursor: pointer;
+}
+
+.ask-gemini-preview-actions .ask-gemini-preview-send {
+  border-color: var(--ag-accent);
+  background: var(--ag-accent);
+  color: var(--ag-on-accent);
+}
+
+.ask-gemini-preview-actions button:hover {
+  filter: brightness(0.95);
+}
+
+.ask-gemini-preview-actions button:focus-visible {
+  outline: 2px solid var(--ag-accent);
+  outline-offset: 2px;
+}
+
+`;
+
+  // The Quote buttons' own stylesheet, kept apart so that each button
+  // (there is one per response and code block) carries only its rules.
+  var ACTION_CSS = `
+/* ==========================================================================
+   Quote Buttons (in response action bars and code block headers)
+   ========================================================================== */
+
+/*
+ * These sit among Gemini's own buttons, so they take their color and
+ * font from the surrounding bar instead of the theme tokens.
+ */
+
+:host(ask-gemini-action) {
+  all: initial;
+  display: inline-flex;
+  align-items: center;
+  vertical-align: middle;
+  color: inherit;
+  font: inherit;
+}
+
+.ask-gemini-action-button {
+  display: inline-flex;
+  align-items: center;
+  gap: 4px;
+  height: 32px;
+  padding: 0 10px;
+  border: none;
+  border-radius: 16px;
+  background: transparent;
+  color: inherit;
+  font-family: inherit;
+  font-size: 13px;
+  font-weight: 500;
+  cursor: pointer;
+}
+
+.ask-gemini-action-button:hover {
+  background: color-mix(in srgb, currentColor 10%, transparent);
+}
+
+.ask-gemini-action-button:focus-visible {
+  outline: 2px solid currentColor;
+  outline-offset: 1px;
+}
+
+.ask-gemini-action-icon {
+  font-size: 15px;
+  line-height: 1;
+}
+`;
+
+  root.AskGeminiStyles = {
+    UI_CSS: UI_CSS,
+    ACTION_CSS: ACTION_CSS,
+  };
+})(globalThis);